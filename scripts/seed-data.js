@@ -1,6 +1,6 @@
 const { faker } = require('@faker-js/faker');
 const bcrypt = require('bcryptjs');
-const { sequelize, User, Category, Product, Order, OrderItem } = require('../src/models');
+const { sequelize, User, Address, Category, Product, Order, OrderItem } = require('../src/models');
 
 async function seedDatabase() {
   try {
@@ -23,10 +23,15 @@ async function seedDatabase() {
       'Furniture', 'Tools', 'Outdoor', 'Baby', 'Shoes'
     ];
 
+    // A few subcategories so the tree endpoints have something to show
+    const categoryParents = { Shoes: 'Clothing', Games: 'Toys', Jewelry: 'Health & Beauty' };
+
     for (const name of categoryNames) {
+      const parent = categories.find(category => category.name === categoryParents[name]);
       const category = await Category.create({
         name,
-        description: faker.lorem.sentence()
+        description: faker.lorem.sentence(),
+        parentId: parent ? parent.id : null
       });
       categories.push(category);
     }
@@ -54,9 +59,21 @@ async function seedDatabase() {
     });
     users.push(testUser);
 
+    // Create staff accounts (kept out of the customer pool used for orders)
+    for (const role of ['admin', 'support']) {
+      await User.create({
+        username: role,
+        email: `${role}@example.com`,
+        password: hashedPassword,
+        firstName: role === 'admin' ? 'Admin' : 'Support',
+        lastName: 'User',
+        role
+      });
+    }
+
     // Create random users with guaranteed unique usernames and emails
-    const usedUsernames = new Set(['testuser']);
-    const usedEmails = new Set(['test@example.com']);
+    const usedUsernames = new Set(['testuser', 'admin', 'support']);
+    const usedEmails = new Set(['test@example.com', 'admin@example.com', 'support@example.com']);
 
     for (let i = 0; i < 999; i++) {
       let username, email;
@@ -92,11 +109,26 @@ async function seedDatabase() {
     }
     console.log(`Created ${users.length} users`);
 
-    // Create products with unique SKUs
-    const products = [];
+    // Save each customer's address as their default shipping and billing address
+    const addressesByUser = new Map();
+    for (const user of users) {
+      const address = await Address.create({
+        userId: user.id,
+        label: 'Home',
+        ...user.address,
+        country: 'US',
+        isDefaultShipping: true,
+        isDefaultBilling: true
+      });
+      addressesByUser.set(user.id, address);
+    }
+    console.log(`Created ${addressesByUser.size} addresses`);
+
+    // Create products with unique SKUs in one bulk insert
+    const productValues = [];
     for (let i = 0; i < 500; i++) {
       const category = categories[Math.floor(Math.random() * categories.length)];
-      const product = await Product.create({
+      productValues.push({
         name: faker.commerce.productName(),
         description: faker.commerce.productDescription(),
         price: faker.commerce.price({ min: 10, max: 1000, dec: 2 }),
@@ -115,8 +147,8 @@ async function seedDatabase() {
           faker.number.int({ min: 1, max: 3 })
         )
       });
-      products.push(product);
     }
+    const products = await Product.bulkCreate(productValues);
     console.log(`Created ${products.length} products`);
 
     // Create orders
@@ -131,6 +163,7 @@ async function seedDatabase() {
         status: faker.helpers.arrayElement(['pending', 'processing', 'shipped', 'delivered', 'cancelled']),
         totalAmount: 0, // Will calculate after items
         shippingAddress: user.address,
+        shippingAddressId: addressesByUser.get(user.id).id,
         paymentMethod: faker.helpers.arrayElement(['credit_card', 'debit_card', 'paypal', 'bank_transfer']),
         notes: faker.lorem.sentence()
       });
@@ -151,7 +184,7 @@ async function seedDatabase() {
         });
       }
 
-      await order.update({ totalAmount });
+      await order.update({ subtotal: totalAmount, totalAmount });
       orders.push(order);
 
       if ((i + 1) % 500 === 0) {
@@ -162,7 +195,7 @@ async function seedDatabase() {
 
     console.log('\nDatabase seeded successfully!');
     console.log('\nTest credentials:');
-    console.log('Username: testuser');
+    console.log('Username: testuser (customer), admin, support');
     console.log('Password: password123');
     console.log('\nAPI is ready at http://localhost:3000');
 
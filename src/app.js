@@ -7,6 +7,7 @@ require('dotenv').config();
 
 const { sequelize } = require('./models');
 const { initRedis } = require('./utils/redis');
+const { buildSearchIndex } = require('./services/productSearchIndex');
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 
@@ -15,6 +16,12 @@ const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const categoryRoutes = require('./routes/categories');
+const cartRoutes = require('./routes/carts');
+const couponRoutes = require('./routes/coupons');
+const apiKeyRoutes = require('./routes/apiKeys');
+const tagRoutes = require('./routes/tags');
+const reviewRoutes = require('./routes/reviews');
+const paymentRoutes = require('./routes/payments');
 
 // Initialize Express app
 const app = express();
@@ -42,15 +49,22 @@ global.orderHistory = [];
 
 // Middleware
 app.use(cors());
+app.use(requestLogger(logger));
+// Payment webhooks need the raw request body, so they skip the JSON parser
+app.use('/api/payments', paymentRoutes);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(requestLogger(logger));
 
 // API Routes
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/categories', categoryRoutes);
+app.use('/api/carts', cartRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Add redirect for /api/search to /api/products/search
 app.get('/api/search', (req, res) => {
@@ -95,6 +109,12 @@ app.get('/', (req, res) => {
       products: '/api/products',
       orders: '/api/orders',
       categories: '/api/categories',
+      carts: '/api/carts',
+      coupons: '/api/coupons',
+      apiKeys: '/api/api-keys',
+      tags: '/api/tags',
+      reviews: '/api/reviews',
+      payments: '/api/payments',
       health: '/health',
       metrics: '/metrics'
     },
@@ -128,6 +148,10 @@ async function startServer() {
     await initRedis();
     logger.info('Redis connection established');
 
+    // Build the product search index
+    const indexedProducts = await buildSearchIndex();
+    logger.info(`Search index built with ${indexedProducts} products`);
+
     // Start server
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => {
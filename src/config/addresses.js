@@ -0,0 +1,22 @@
+/**
+ * Address Configuration
+ * Fields each country's addresses need and the postal code format they use
+ *
+ * Countries not listed only need the fields in requiredFields. Postal code
+ * patterns are matched case-insensitively against the trimmed zip.
+ */
+
+module.exports = {
+  requiredFields: ['street', 'city', 'country'],
+
+  countries: {
+    US: { requiredFields: ['state', 'zip'], zipPattern: '^\\d{5}(-\\d{4})?$' },
+    CA: { requiredFields: ['state', 'zip'], zipPattern: '^[a-z]\\d[a-z] ?\\d[a-z]\\d$' },
+    MX: { requiredFields: ['state', 'zip'], zipPattern: '^\\d{5}$' },
+    GB: { requiredFields: ['zip'], zipPattern: '^[a-z]{1,2}\\d[a-z\\d]? ?\\d[a-z]{2}$' },
+    DE: { requiredFields: ['zip'], zipPattern: '^\\d{5}$' },
+    FR: { requiredFields: ['zip'], zipPattern: '^\\d{5}$' },
+    NL: { requiredFields: ['zip'], zipPattern: '^\\d{4} ?[a-z]{2}$' },
+    IE: { requiredFields: [] }
+  }
+};
@@ -0,0 +1,100 @@
+/**
+ * Pricing Configuration
+ * Shipping zones and tax rate tables used by the pricing pipeline
+ *
+ * Set PRICING_CONFIG_PATH to a JSON file with the same shape to replace
+ * these defaults without a code change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const defaults = {
+  currency: 'USD',
+
+  // Used when an address has no country
+  defaultCountry: 'US',
+
+  // Spellings customers use for the same country
+  countryAliases: {
+    USA: 'US',
+    'UNITED STATES': 'US',
+    'UNITED STATES OF AMERICA': 'US',
+    CAN: 'CA',
+    CANADA: 'CA',
+    MEX: 'MX',
+    MEXICO: 'MX',
+    UK: 'GB',
+    'UNITED KINGDOM': 'GB',
+    GERMANY: 'DE',
+    FRANCE: 'FR',
+    NETHERLANDS: 'NL',
+    'THE NETHERLANDS': 'NL',
+    IRELAND: 'IE'
+  },
+
+  shipping: {
+    // Weight assumed for products without specifications.weight
+    defaultItemWeightKg: 0.5,
+    // Zones are matched in order; a zone without countries matches everything
+    zones: [
+      { name: 'domestic', countries: ['US'], baseRate: 5.99, perKg: 0.75 },
+      { name: 'north_america', countries: ['CA', 'MX'], baseRate: 14.99, perKg: 1.5 },
+      { name: 'europe', countries: ['GB', 'DE', 'FR', 'IE', 'NL', 'ES', 'IT'], baseRate: 24.99, perKg: 3 },
+      { name: 'international', baseRate: 34.99, perKg: 4.5 }
+    ]
+  },
+
+  tax: {
+    // Whether shipping charges are taxed along with the goods
+    taxShipping: false,
+    // Rate for countries not listed below
+    defaultRate: 0,
+    // A state rate replaces the country rate for addresses in that state
+    countries: {
+      US: {
+        rate: 0,
+        states: {
+          CA: 0.0725,
+          CO: 0.029,
+          FL: 0.06,
+          IL: 0.0625,
+          MA: 0.0625,
+          NJ: 0.06625,
+          NY: 0.04,
+          PA: 0.06,
+          TX: 0.0625,
+          WA: 0.065
+        }
+      },
+      CA: {
+        rate: 0.05,
+        states: {
+          BC: 0.12,
+          NS: 0.15,
+          ON: 0.13,
+          QC: 0.14975
+        }
+      },
+      MX: { rate: 0.16 },
+      GB: { rate: 0.2 },
+      DE: { rate: 0.19 },
+      FR: { rate: 0.2 },
+      IE: { rate: 0.23 },
+      NL: { rate: 0.21 },
+      ES: { rate: 0.21 },
+      IT: { rate: 0.22 }
+    }
+  }
+};
+
+function loadPricingConfig() {
+  const configPath = process.env.PRICING_CONFIG_PATH;
+  if (!configPath) {
+    return defaults;
+  }
+
+  return JSON.parse(fs.readFileSync(path.resolve(configPath), 'utf8'));
+}
+
+module.exports = loadPricingConfig();
@@ -0,0 +1,152 @@
+const { verifyAccessToken } = require('../services/authTokens');
+const { API_KEY_RESOURCES, authenticateApiKey, hasScope } = require('../services/apiKeyService');
+const { createHttpError } = require('../utils/httpError');
+
+const ROLES = ['customer', 'support', 'admin'];
+
+// Roles that act on other users' data
+const STAFF_ROLES = ['support', 'admin'];
+
+// Role given to API key clients; their scopes limit them instead
+const SERVICE_ROLE = 'service';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isStaff(user) {
+  return Boolean(user) && STAFF_ROLES.includes(user.role);
+}
+
+/**
+ * Resource a request belongs to, from the router's mount path
+ * Mounts alternate resource and id (/api/products/:id/reviews), so the last
+ * scoped resource wins; /api/users/:id/addresses stays with users
+ */
+function requestResource(req) {
+  const segments = req.baseUrl.split('/').slice(2);
+  let resource;
+  for (let i = 0; i < segments.length; i += 2) {
+    if (API_KEY_RESOURCES.includes(segments[i])) {
+      resource = segments[i];
+    }
+  }
+  return resource;
+}
+
+/**
+ * Accept an "X-API-Key" header in place of a user token
+ * The key needs a scope for the request's resource: read for GET requests,
+ * write for everything else
+ */
+async function authenticateApiKeyRequest(req, key) {
+  const apiKey = await authenticateApiKey(key);
+
+  const resource = requestResource(req);
+  if (!resource) {
+    throw createHttpError(403, 'API keys cannot access this resource');
+  }
+  const access = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  if (!hasScope(apiKey, resource, access)) {
+    throw createHttpError(403, `API key lacks the ${resource}:${access} scope`);
+  }
+
+  req.apiKey = apiKey;
+  req.user = { id: null, username: apiKey.name, role: SERVICE_ROLE };
+  req.actor = `api_key:${apiKey.id}`;
+}
+
+/**
+ * Require a valid "Authorization: Bearer <access token>" header, or an
+ * "X-API-Key" header for service clients
+ * The token's user is available as req.user ({ id, username, role }) and
+ * req.actor identifies the caller on audit trails
+ */
+function requireAuth(req, res, next) {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return authenticateApiKeyRequest(req, apiKey).then(() => next(), next);
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return next(createHttpError(401, 'Authentication required'));
+  }
+
+  try {
+    req.user = verifyAccessToken(token);
+    req.actor = `user:${req.user.id}`;
+    next();
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    next(error);
+  }
+}
+
+/**
+ * Authenticate the caller when credentials are sent, otherwise continue
+ * anonymously with req.user unset
+ */
+function optionalAuth(req, res, next) {
+  if (!req.get('X-API-Key') && !req.get('Authorization')) {
+    return next();
+  }
+  return requireAuth(req, res, next);
+}
+
+/**
+ * Allow only the given roles; use after requireAuth
+ * API keys are refused unless the route opts in with a trailing
+ * { scope: '<resource>:<access>' } option naming the scope they need
+ */
+function requireRole(...roles) {
+  const { scope } = typeof roles[roles.length - 1] === 'object' ? roles.pop() : {};
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createHttpError(401, 'Authentication required'));
+    }
+    if (req.apiKey) {
+      const [resource, access] = scope ? scope.split(':') : [];
+      if (!scope || !hasScope(req.apiKey, resource, access)) {
+        return next(createHttpError(403, scope ? `API key lacks the ${scope} scope` : 'Insufficient permissions'));
+      }
+      return next();
+    }
+    if (!roles.includes(req.user.role)) {
+      return next(createHttpError(403, 'Insufficient permissions'));
+    }
+    next();
+  };
+}
+
+/**
+ * Allow staff, and API keys holding scope; use after requireAuth
+ */
+function requireStaff(scope) {
+  return requireRole(...STAFF_ROLES, { scope });
+}
+
+/**
+ * Throw 403 unless the authenticated user is userId or staff
+ * API keys act for any user of a resource they are scoped to
+ */
+function assertSelfOrStaff(req, userId) {
+  if (req.apiKey) {
+    return;
+  }
+  if (!req.user || (req.user.id !== userId && !isStaff(req.user))) {
+    throw createHttpError(403, 'Insufficient permissions');
+  }
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  isStaff,
+  requireAuth,
+  optionalAuth,
+  requireRole,
+  requireStaff,
+  assertSelfOrStaff
+};
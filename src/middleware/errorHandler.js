@@ -30,6 +30,7 @@ module.exports = function errorHandler(err, req, res, next) {
   res.status(status).json({
     error: status === 500 ? 'Internal Server Error' : err.name || 'Error',
     message: message,
+    ...(err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../utils/redis');
+
+// How long a stored response can be replayed
+const RESPONSE_TTL_SECONDS = 24 * 60 * 60;
+
+// How long an in-flight request holds the key before a retry may take over
+const PROCESSING_TTL_SECONDS = 60;
+
+function fingerprintRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+    .digest('hex');
+}
+
+/**
+ * Idempotency-Key support for POST routes
+ * The first request with a key runs normally and its response is stored in
+ * Redis; replays with the same payload get the stored response back, a
+ * replay while the first is still running gets 409, and reusing a key with
+ * a different payload gets 422. Server errors are not stored so they can be
+ * retried.
+ */
+module.exports = function idempotency() {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey) {
+      return next();
+    }
+
+    try {
+      const redis = await getRedisClient();
+      // Keys are scoped to the caller so one user can never replay another's response
+      const scope = req.actor ? `${req.actor}:` : '';
+      const key = `idempotency:${scope}${req.baseUrl}${req.path}:${idempotencyKey}`;
+      const fingerprint = fingerprintRequest(req);
+
+      const acquired = await redis.set(key, JSON.stringify({ state: 'processing', fingerprint }), {
+        NX: true,
+        EX: PROCESSING_TTL_SECONDS
+      });
+
+      if (!acquired) {
+        const stored = JSON.parse(await redis.get(key) || 'null');
+
+        if (!stored) {
+          // Expired between SET and GET, let the client retry
+          return res.status(409).json({ error: 'Request with this Idempotency-Key is being processed' });
+        }
+        if (stored.fingerprint !== fingerprint) {
+          return res.status(422).json({ error: 'Idempotency-Key was already used with a different request' });
+        }
+        if (stored.state === 'processing') {
+          return res.status(409).json({ error: 'Request with this Idempotency-Key is being processed' });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
+
+      async function storeOutcome(statusCode, body) {
+        try {
+          if (statusCode >= 500) {
+            await redis.del(key);
+            return;
+          }
+          await redis.set(key, JSON.stringify({
+            state: 'completed',
+            fingerprint,
+            statusCode,
+            body
+          }), { EX: RESPONSE_TTL_SECONDS });
+        } catch (error) {
+          console.error('Failed to store idempotent response:', error);
+        }
+      }
+
+      // Store the outcome as soon as the handler responds, so it is kept even
+      // when the client has already disconnected and never receives it
+      let settled = false;
+      const originalJson = res.json;
+      res.json = function(body) {
+        if (!settled) {
+          settled = true;
+          storeOutcome(res.statusCode, body);
+        }
+        return originalJson.call(this, body);
+      };
+
+      // A response sent without res.json has nothing to replay, so the key is
+      // released for a retry instead of staying "processing" until it expires
+      res.on('finish', () => {
+        if (!settled) {
+          settled = true;
+          redis.del(key).catch(error => console.error('Failed to release idempotency key:', error));
+        }
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
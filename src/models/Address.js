@@ -0,0 +1,71 @@
+/**
+ * Address Model
+ * Saved shipping and billing addresses of a user
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const Address = sequelize.define('Address', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  // Name the customer picks, e.g. "Home" or "Office"
+  label: {
+    type: DataTypes.STRING
+  },
+  recipientName: {
+    type: DataTypes.STRING
+  },
+  street: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  street2: {
+    type: DataTypes.STRING
+  },
+  city: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  state: {
+    type: DataTypes.STRING
+  },
+  zip: {
+    type: DataTypes.STRING
+  },
+  // ISO 3166-1 alpha-2 code
+  country: {
+    type: DataTypes.STRING(2),
+    allowNull: false
+  },
+  phoneNumber: {
+    type: DataTypes.STRING
+  },
+  // At most one default of each kind per user; see services/addressService
+  isDefaultShipping: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  isDefaultBilling: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['userId'] }
+  ] : []
+});
+
+module.exports = Address;
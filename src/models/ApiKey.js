@@ -0,0 +1,59 @@
+/**
+ * ApiKey Model
+ * Credentials for service-to-service clients, sent as X-API-Key
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Start of the key, shown in listings so a key can be recognized
+  keyPrefix: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // SHA-256 of the key; the key itself is only returned when it is issued
+  keyHash: {
+    type: DataTypes.STRING,
+    unique: true,
+    allowNull: false
+  },
+  // "<resource>:read" or "<resource>:write", e.g. "orders:write"
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: []
+  },
+  expiresAt: {
+    type: DataTypes.DATE
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE
+  },
+  revokedAt: {
+    type: DataTypes.DATE
+  },
+  createdById: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['keyHash'] }
+  }
+});
+
+module.exports = ApiKey;
@@ -1,5 +1,7 @@
 /**
  * Category Model
+ * Categories form a tree through parentId; path is the materialized path of
+ * ids from the root down to the category, e.g. "/<rootId>/<childId>/"
  */
 
 const { DataTypes } = require('sequelize');
@@ -18,9 +20,52 @@ const Category = sequelize.define('Category', {
   },
   description: {
     type: DataTypes.TEXT
+  },
+  parentId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Categories',
+      key: 'id'
+    }
+  },
+  // Set on create and rewritten by moves, see categoryService
+  path: {
+    type: DataTypes.TEXT
+  },
+  // Number of ancestors; 0 for root categories
+  depth: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['parentId'] },
+    // Prefix LIKE lookups of a subtree
+    { name: 'categories_path_pattern', fields: [{ name: 'path', operator: 'text_pattern_ops' }] }
+  ] : []
+});
+
+// Derive path and depth from the parent, so every create lands in the tree
+Category.addHook('beforeCreate', async (category, options) => {
+  if (!category.parentId) {
+    category.path = `/${category.id}/`;
+    category.depth = 0;
+    return;
+  }
+
+  const parent = await Category.findByPk(category.parentId, { transaction: options.transaction });
+  if (!parent) {
+    throw new Error(`Parent category ${category.parentId} not found`);
+  }
+  category.path = `${parent.path}${category.id}/`;
+  category.depth = parent.depth + 1;
+});
+
+// Categories created before the tree existed become roots
+Category.addHook('afterSync', async () => {
+  await sequelize.query(`UPDATE "Categories" SET path = '/' || id || '/' WHERE path IS NULL`);
 });
 
-module.exports = Category;
\ No newline at end of file
+module.exports = Category;
@@ -0,0 +1,109 @@
+/**
+ * Coupon Model
+ * Discount codes applied at checkout
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const Coupon = sequelize.define('Coupon', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  code: {
+    type: DataTypes.STRING,
+    unique: true,
+    allowNull: false,
+    set(value) {
+      this.setDataValue('code', String(value).trim().toUpperCase());
+    }
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  type: {
+    type: DataTypes.ENUM('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'),
+    allowNull: false
+  },
+  // Percent off for "percentage", currency amount for "fixed_amount"
+  value: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0,
+    validate: {
+      min: 0
+    }
+  },
+  // buy_x_get_y: every buyQuantity units of a product earn getQuantity free units
+  buyQuantity: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  getQuantity: {
+    type: DataTypes.INTEGER,
+    validate: {
+      min: 1
+    }
+  },
+  // Restrict the discount to items in this category
+  categoryId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Categories',
+      key: 'id'
+    }
+  },
+  minSubtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  startsAt: {
+    type: DataTypes.DATE
+  },
+  endsAt: {
+    type: DataTypes.DATE
+  },
+  usageLimit: {
+    type: DataTypes.INTEGER
+  },
+  usageLimitPerUser: {
+    type: DataTypes.INTEGER
+  },
+  usageCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  // Stackable coupons can be combined; a non-stackable coupon must be used alone
+  stackable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  timestamps: true,
+  validate: {
+    percentageInRange() {
+      if (this.type === 'percentage' && (parseFloat(this.value) <= 0 || parseFloat(this.value) > 100)) {
+        throw new Error('Percentage coupons need a value between 0 and 100');
+      }
+    },
+    buyGetQuantities() {
+      if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+        throw new Error('Buy X get Y coupons need buyQuantity and getQuantity');
+      }
+    },
+    validityWindow() {
+      if (this.startsAt && this.endsAt && new Date(this.startsAt) > new Date(this.endsAt)) {
+        throw new Error('startsAt must be before endsAt');
+      }
+    }
+  }
+});
+
+module.exports = Coupon;
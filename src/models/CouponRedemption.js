@@ -0,0 +1,51 @@
+/**
+ * CouponRedemption Model
+ * One row per coupon used on an order, backs per-user usage limits
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const CouponRedemption = sequelize.define('CouponRedemption', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  couponId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Coupons',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Orders',
+      key: 'id'
+    }
+  },
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['couponId', 'userId'] },
+    { fields: ['orderId'] }
+  ] : []
+});
+
+module.exports = CouponRedemption;
@@ -27,21 +27,57 @@ const Order = sequelize.define('Order', {
     type: DataTypes.ENUM('pending', 'processing', 'shipped', 'delivered', 'cancelled'),
     defaultValue: 'pending'
   },
+  // totalAmount = subtotal - discountAmount + shippingAmount + taxAmount
   totalAmount: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
   },
+  subtotal: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  // Sum of the per-item discounts on OrderItem.discountAmount
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  couponCodes: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
+  shippingAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  taxAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
+  // Copy of the address at checkout, so editing a saved address leaves past orders alone
   shippingAddress: {
     type: DataTypes.JSON,
     allowNull: false
   },
+  // Saved Address the copy was taken from, if any
+  shippingAddressId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Addresses',
+      key: 'id'
+    }
+  },
   paymentMethod: {
     type: DataTypes.STRING
   },
+  // pending -> authorized -> paid -> partially_refunded/refunded, or failed/voided
   paymentStatus: {
-    type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
+    type: DataTypes.ENUM('pending', 'authorized', 'paid', 'partially_refunded', 'refunded', 'voided', 'failed'),
     defaultValue: 'pending'
   },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
+  },
   notes: {
     type: DataTypes.TEXT
   },
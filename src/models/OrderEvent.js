@@ -0,0 +1,45 @@
+/**
+ * OrderEvent Model
+ * Persistent audit trail of order changes
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const OrderEvent = sequelize.define('OrderEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Orders',
+      key: 'id'
+    }
+  },
+  eventType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system'
+  },
+  // { field: { before, after } } for every field the event changed
+  changes: {
+    type: DataTypes.JSON,
+    defaultValue: {}
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['orderId', 'createdAt'] }
+  ] : []
+});
+
+module.exports = OrderEvent;
@@ -25,6 +25,14 @@ const OrderItem = sequelize.define('OrderItem', {
       key: 'id'
     }
   },
+  // Set for products sold in variants; stock was taken from the variant
+  variantId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'ProductVariants',
+      key: 'id'
+    }
+  },
   quantity: {
     type: DataTypes.INTEGER,
     allowNull: false,
@@ -37,6 +45,11 @@ const OrderItem = sequelize.define('OrderItem', {
   subtotal: {
     type: DataTypes.DECIMAL(10, 2),
     allowNull: false
+  },
+  // Share of the order's coupon discounts allocated to this line
+  discountAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0
   }
 }, {
   timestamps: true,
@@ -0,0 +1,69 @@
+/**
+ * OrderReturn Model
+ * Return merchandise authorization (RMA) for items of a delivered order
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const OrderReturn = sequelize.define('OrderReturn', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  rmaNumber: {
+    type: DataTypes.STRING,
+    unique: true,
+    allowNull: false
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Orders',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'),
+    defaultValue: 'requested'
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  // Notes from whoever approved, rejected or received the return
+  resolutionNotes: {
+    type: DataTypes.TEXT
+  },
+  // Item value plus its share of tax; shipping is not refunded
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  refundPaymentId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  approvedAt: {
+    type: DataTypes.DATE
+  },
+  receivedAt: {
+    type: DataTypes.DATE
+  },
+  refundedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['orderId'] },
+    { fields: ['status'] }
+  ] : []
+});
+
+module.exports = OrderReturn;
@@ -0,0 +1,66 @@
+/**
+ * OrderReturnItem Model
+ * Quantity of one OrderItem included in a return
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const OrderReturnItem = sequelize.define('OrderReturnItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  returnId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'OrderReturns',
+      key: 'id'
+    }
+  },
+  orderItemId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'OrderItems',
+      key: 'id'
+    }
+  },
+  productId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Products',
+      key: 'id'
+    }
+  },
+  // Variant the units are restocked to, copied from the OrderItem
+  variantId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'ProductVariants',
+      key: 'id'
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['returnId'] },
+    { fields: ['orderItemId'] }
+  ] : []
+});
+
+module.exports = OrderReturnItem;
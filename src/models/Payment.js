@@ -0,0 +1,73 @@
+/**
+ * Payment Model
+ * One row per call to the payment provider, successful or not
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  orderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Orders',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.ENUM('authorization', 'capture', 'void', 'refund'),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('succeeded', 'failed'),
+    allowNull: false
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false
+  },
+  // Provider's id for this transaction; captures/voids/refunds point at an earlier one
+  providerReference: {
+    type: DataTypes.STRING
+  },
+  parentPaymentId: {
+    type: DataTypes.UUID,
+    references: {
+      model: 'Payments',
+      key: 'id'
+    }
+  },
+  failureReason: {
+    type: DataTypes.STRING
+  },
+  reason: {
+    type: DataTypes.TEXT
+  },
+  actor: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system'
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['orderId', 'createdAt'] },
+    { fields: ['provider', 'providerReference'] }
+  ] : []
+});
+
+module.exports = Payment;
@@ -5,6 +5,11 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('./config/database');
 
+// Tags are kept trimmed, lowercased and unique so filters and counts can compare them directly
+function normalizeTags(tags) {
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
 const Product = sequelize.define('Product', {
   id: {
     type: DataTypes.UUID,
@@ -44,18 +49,90 @@ const Product = sequelize.define('Product', {
     type: DataTypes.JSON,
     defaultValue: {}
   },
+  tags: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    defaultValue: [],
+    set(value) {
+      this.setDataValue('tags', Array.isArray(value) ? normalizeTags(value) : value);
+    }
+  },
+  // Option axes the variants are built from, e.g. [{ name: 'size', values: ['S', 'M'] }]
+  // Products with active variants track price and stock per variant
+  options: {
+    type: DataTypes.JSON,
+    defaultValue: []
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Aggregates of approved reviews, kept in step by reviewService
+  averageRating: {
+    type: DataTypes.DECIMAL(3, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  reviewCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Maintained by the products_search_vector trigger, see afterSync below
+  searchVector: {
+    type: DataTypes.TSVECTOR
   }
 }, {
   timestamps: true,
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  },
   // Missing indexes for demo when ENABLE_MISSING_INDEXES is true
   indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
     { fields: ['categoryId'] },
     { fields: ['sku'] },
-    { fields: ['name'] }
+    { fields: ['name'] },
+    { fields: ['averageRating'] },
+    { name: 'products_search_vector_gin', fields: ['searchVector'], using: 'GIN' },
+    { name: 'products_tags_gin', fields: ['tags'], using: 'GIN' },
+    { name: 'products_name_trgm', fields: [{ name: 'name', operator: 'gin_trgm_ops' }], using: 'GIN' }
   ] : []
 });
 
+// pg_trgm provides the trigram operator class used by products_name_trgm
+Product.addHook('beforeSync', async () => {
+  await sequelize.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+});
+
+// Full-text search vector: name weighted above description, then tags
+Product.addHook('afterSync', async () => {
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION products_search_vector_update() RETURNS trigger AS $$
+    BEGIN
+      NEW."searchVector" :=
+        setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(NEW.description, '')), 'B') ||
+        setweight(to_tsvector('english', array_to_string(coalesce(NEW.tags, '{}'), ' ')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql
+  `);
+  await sequelize.query('DROP TRIGGER IF EXISTS products_search_vector ON "Products"');
+  await sequelize.query(`
+    CREATE TRIGGER products_search_vector
+    BEFORE INSERT OR UPDATE ON "Products"
+    FOR EACH ROW EXECUTE FUNCTION products_search_vector_update()
+  `);
+
+  // Backfill rows created before the trigger existed
+  await sequelize.query('UPDATE "Products" SET "searchVector" = NULL WHERE "searchVector" IS NULL');
+});
+
+// The raw tsvector is an implementation detail of search, keep it out of responses
+Product.prototype.toJSON = function() {
+  const values = this.get({ plain: true });
+  delete values.searchVector;
+  return values;
+};
+
 module.exports = Product;
\ No newline at end of file
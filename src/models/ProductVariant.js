@@ -0,0 +1,57 @@
+/**
+ * ProductVariant Model
+ * A sellable combination of a product's options, e.g. size M in red
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const ProductVariant = sequelize.define('ProductVariant', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Products',
+      key: 'id'
+    }
+  },
+  sku: {
+    type: DataTypes.STRING,
+    unique: true,
+    allowNull: false
+  },
+  // One value per axis in Product.options, e.g. { size: 'M', color: 'Red' }
+  options: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Falls back to the product's price when null
+  price: {
+    type: DataTypes.DECIMAL(10, 2)
+  },
+  stock: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  imageUrl: {
+    type: DataTypes.STRING
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  timestamps: true,
+  indexes: process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+    { fields: ['productId'] },
+    { fields: ['sku'] }
+  ] : []
+});
+
+module.exports = ProductVariant;
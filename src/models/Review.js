@@ -0,0 +1,76 @@
+/**
+ * Review Model
+ * A user's rating and review of a product, one per user and product
+ */
+
+const { DataTypes } = require('sequelize');
+const sequelize = require('./config/database');
+
+const Review = sequelize.define('Review', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Products',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  title: {
+    type: DataTypes.STRING
+  },
+  body: {
+    type: DataTypes.TEXT
+  },
+  // Whether the user had a delivered order of the product when reviewing
+  verifiedPurchase: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Only approved reviews are shown and count towards the product's rating
+  status: {
+    type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+    allowNull: false,
+    defaultValue: 'approved'
+  },
+  // Reason given by the moderator who last changed the status
+  moderationNote: {
+    type: DataTypes.TEXT
+  },
+  moderatedAt: {
+    type: DataTypes.DATE
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    // One review per user and product; a constraint, so not a demo toggle
+    { unique: true, fields: ['productId', 'userId'] },
+    ...(process.env.ENABLE_MISSING_INDEXES !== 'true' ? [
+      { fields: ['productId', 'status'] },
+      { fields: ['status'] }
+    ] : [])
+  ]
+});
+
+module.exports = Review;
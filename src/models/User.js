@@ -43,9 +43,19 @@ const User = sequelize.define('User', {
   phoneNumber: {
     type: DataTypes.STRING
   },
+  // support and admin are staff roles; see middleware/auth
+  role: {
+    type: DataTypes.ENUM('customer', 'support', 'admin'),
+    allowNull: false,
+    defaultValue: 'customer'
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  // Set when the user's personal data was anonymized on request
+  erasedAt: {
+    type: DataTypes.DATE
   }
 }, {
   timestamps: true,
@@ -8,6 +8,16 @@ const Category = require('./Category');
 const Product = require('./Product');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
+const OrderEvent = require('./OrderEvent');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const Payment = require('./Payment');
+const OrderReturn = require('./OrderReturn');
+const OrderReturnItem = require('./OrderReturnItem');
+const ApiKey = require('./ApiKey');
+const Address = require('./Address');
+const ProductVariant = require('./ProductVariant');
+const Review = require('./Review');
 
 function setupAssociations() {
   // User - Order relationship
@@ -18,6 +28,10 @@ function setupAssociations() {
   Category.hasMany(Product, { foreignKey: 'categoryId' });
   Product.belongsTo(Category, { foreignKey: 'categoryId' });
 
+  // Category tree
+  Category.hasMany(Category, { as: 'children', foreignKey: 'parentId' });
+  Category.belongsTo(Category, { as: 'parent', foreignKey: 'parentId' });
+
   // Order - OrderItem relationship
   Order.hasMany(OrderItem, { foreignKey: 'orderId' });
   OrderItem.belongsTo(Order, { foreignKey: 'orderId' });
@@ -25,6 +39,57 @@ function setupAssociations() {
   // Product - OrderItem relationship
   Product.hasMany(OrderItem, { foreignKey: 'productId' });
   OrderItem.belongsTo(Product, { foreignKey: 'productId' });
+
+  // Order - OrderEvent relationship (audit trail)
+  Order.hasMany(OrderEvent, { foreignKey: 'orderId' });
+  OrderEvent.belongsTo(Order, { foreignKey: 'orderId' });
+
+  // Coupon - CouponRedemption relationships
+  Coupon.hasMany(CouponRedemption, { foreignKey: 'couponId' });
+  CouponRedemption.belongsTo(Coupon, { foreignKey: 'couponId' });
+  Order.hasMany(CouponRedemption, { foreignKey: 'orderId' });
+  CouponRedemption.belongsTo(Order, { foreignKey: 'orderId' });
+
+  // Category-scoped coupons
+  Category.hasMany(Coupon, { foreignKey: 'categoryId' });
+  Coupon.belongsTo(Category, { foreignKey: 'categoryId' });
+
+  // Order - Payment relationship (provider calls)
+  Order.hasMany(Payment, { foreignKey: 'orderId' });
+  Payment.belongsTo(Order, { foreignKey: 'orderId' });
+  Payment.belongsTo(Payment, { as: 'parentPayment', foreignKey: 'parentPaymentId' });
+
+  // Order - OrderReturn - OrderReturnItem relationships (RMAs)
+  Order.hasMany(OrderReturn, { foreignKey: 'orderId' });
+  OrderReturn.belongsTo(Order, { foreignKey: 'orderId' });
+  OrderReturn.hasMany(OrderReturnItem, { as: 'items', foreignKey: 'returnId' });
+  OrderReturnItem.belongsTo(OrderReturn, { foreignKey: 'returnId' });
+  OrderItem.hasMany(OrderReturnItem, { foreignKey: 'orderItemId' });
+  OrderReturnItem.belongsTo(OrderItem, { foreignKey: 'orderItemId' });
+  OrderReturnItem.belongsTo(Product, { foreignKey: 'productId' });
+  OrderReturn.belongsTo(Payment, { as: 'refundPayment', foreignKey: 'refundPaymentId' });
+
+  // User - ApiKey relationship (issuing admin)
+  User.hasMany(ApiKey, { foreignKey: 'createdById' });
+  ApiKey.belongsTo(User, { as: 'createdBy', foreignKey: 'createdById' });
+
+  // User - Address relationship (saved addresses)
+  User.hasMany(Address, { foreignKey: 'userId' });
+  Address.belongsTo(User, { foreignKey: 'userId' });
+  // Orders keep a copy in shippingAddress, so deleting the address only unlinks them
+  Order.belongsTo(Address, { as: 'savedShippingAddress', foreignKey: 'shippingAddressId', onDelete: 'SET NULL' });
+
+  // Product - ProductVariant relationships (per-variant SKU, price and stock)
+  Product.hasMany(ProductVariant, { as: 'variants', foreignKey: 'productId' });
+  ProductVariant.belongsTo(Product, { foreignKey: 'productId' });
+  OrderItem.belongsTo(ProductVariant, { as: 'variant', foreignKey: 'variantId' });
+  OrderReturnItem.belongsTo(ProductVariant, { as: 'variant', foreignKey: 'variantId' });
+
+  // Product reviews
+  Product.hasMany(Review, { foreignKey: 'productId' });
+  Review.belongsTo(Product, { foreignKey: 'productId' });
+  User.hasMany(Review, { foreignKey: 'userId' });
+  Review.belongsTo(User, { foreignKey: 'userId' });
 }
 
 module.exports = setupAssociations;
\ No newline at end of file
@@ -9,6 +9,16 @@ const Category = require('./Category');
 const Product = require('./Product');
 const Order = require('./Order');
 const OrderItem = require('./OrderItem');
+const OrderEvent = require('./OrderEvent');
+const Coupon = require('./Coupon');
+const CouponRedemption = require('./CouponRedemption');
+const Payment = require('./Payment');
+const OrderReturn = require('./OrderReturn');
+const OrderReturnItem = require('./OrderReturnItem');
+const ApiKey = require('./ApiKey');
+const Address = require('./Address');
+const ProductVariant = require('./ProductVariant');
+const Review = require('./Review');
 const setupAssociations = require('./associations');
 
 // Initialize global memory leak array for demo
@@ -27,5 +37,15 @@ module.exports = {
   Category,
   Product,
   Order,
-  OrderItem
+  OrderItem,
+  OrderEvent,
+  Coupon,
+  CouponRedemption,
+  Payment,
+  OrderReturn,
+  OrderReturnItem,
+  ApiKey,
+  Address,
+  ProductVariant,
+  Review
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { requireAuth, assertSelfOrStaff } = require('../middleware/auth');
+const {
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress
+} = require('../services/addressService');
+
+// Mounted at /api/users/:id/addresses; users manage their own, staff anyone's
+router.use(requireAuth, (req, res, next) => {
+  try {
+    assertSelfOrStaff(req, req.params.id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/users/:id/addresses - List saved addresses, defaults first
+router.get('/', async (req, res, next) => {
+  try {
+    const addresses = await listAddresses(req.params.id);
+
+    res.json({
+      addresses,
+      count: addresses.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/users/:id/addresses/:addressId - Get a saved address
+router.get('/:addressId', async (req, res, next) => {
+  try {
+    const { id, addressId } = req.params;
+
+    const address = await getAddress(id, addressId);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    res.json(address);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/:id/addresses - Save an address
+// The first address becomes the default for shipping and billing
+router.post('/', async (req, res, next) => {
+  try {
+    const address = await createAddress(req.params.id, req.body);
+    if (!address) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.status(201).json(address);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/users/:id/addresses/:addressId - Update a saved address
+// Setting isDefaultShipping/isDefaultBilling moves the default to this address
+router.put('/:addressId', async (req, res, next) => {
+  try {
+    const { id, addressId } = req.params;
+
+    const address = await updateAddress(id, addressId, req.body);
+    if (!address) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    res.json(address);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/:id/addresses/:addressId - Delete a saved address
+// Orders shipped to it keep their own copy
+router.delete('/:addressId', async (req, res, next) => {
+  try {
+    const { id, addressId } = req.params;
+
+    if (!await deleteAddress(id, addressId)) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ApiKey } = require('../models');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { createApiKey, rotateApiKey, revokeApiKey } = require('../services/apiKeyService');
+
+// API key management is admin only
+router.use(requireAuth, requireRole('admin'));
+
+// Issued and rotated keys include the secret once; it cannot be shown again
+function withSecret(apiKey, key) {
+  const response = apiKey.toJSON();
+  delete response.keyHash;
+  return { ...response, key };
+}
+
+// GET /api/api-keys - List API keys
+router.get('/', async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.revoked !== undefined) {
+      where.revokedAt = req.query.revoked === 'true' ? { [Op.ne]: null } : null;
+    }
+
+    const apiKeys = await ApiKey.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      apiKeys,
+      count: apiKeys.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/api-keys/:id - Get API key details (never the secret)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await ApiKey.findByPk(id);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/api-keys - Issue an API key
+// Body: { name, scopes: ["orders:read", "products:write"], expiresAt }
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdById: req.user.id
+    });
+
+    res.status(201).json(withSecret(apiKey, key));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/api-keys/:id/rotate - Replace an API key's secret
+// The previous secret stops working immediately
+router.post('/:id/rotate', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const rotated = await rotateApiKey(id);
+    if (!rotated) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(withSecret(rotated.apiKey, rotated.key));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/api-keys/:id - Revoke an API key
+// Keys are kept so audit entries that name them still resolve
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const apiKey = await revokeApiKey(id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
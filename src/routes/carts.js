@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const idempotency = require('../middleware/idempotency');
+const { requireAuth, optionalAuth, assertSelfOrStaff } = require('../middleware/auth');
+const {
+  readCart,
+  createCart,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  deleteCart,
+  checkoutCart
+} = require('../services/cartService');
+const { getOrderDetails } = require('../services/orderService');
+
+// POST /api/carts - Create cart
+// Signed-in callers own the cart they create; only staff may pass another userId
+router.post('/', optionalAuth, async (req, res, next) => {
+  try {
+    if (req.body.userId) {
+      assertSelfOrStaff(req, req.body.userId);
+    }
+    const userId = req.body.userId || (req.user && req.user.id) || undefined;
+
+    const cart = await createCart({ userId });
+
+    res.status(201).json(cart);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/carts/:id - View cart with live prices and stock
+router.get('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const cart = await getCart(id);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    res.json(cart);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/carts/:id - Discard cart
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!await deleteCart(id)) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/carts/:id/items - Add product to cart
+// Products sold in variants need a variantId
+router.post('/:id/items', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { productId, variantId, quantity } = req.body;
+
+    const cart = await addItem(id, { productId, variantId, quantity });
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    res.json(cart);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/carts/:id/items/:productId - Set item quantity (0 removes it)
+// Variant lines are addressed with ?variantId=
+router.put('/:id/items/:productId', async (req, res, next) => {
+  try {
+    const { id, productId } = req.params;
+    const { quantity } = req.body;
+    const { variantId } = req.query;
+
+    const cart = await updateItem(id, productId, { variantId, quantity });
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    res.json(cart);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/carts/:id/items/:productId - Remove item from cart
+// Variant lines are addressed with ?variantId=
+router.delete('/:id/items/:productId', async (req, res, next) => {
+  try {
+    const { id, productId } = req.params;
+    const { variantId } = req.query;
+
+    const cart = await removeItem(id, productId, { variantId });
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    res.json(cart);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/carts/:id/checkout - Convert cart into an order
+// Carts are ordered for their owner, anonymous ones for the authenticated user;
+// only staff may check out someone else's cart or pass another userId
+router.post('/:id/checkout', requireAuth, idempotency(), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { shippingAddress, shippingAddressId, paymentMethod, notes } = req.body;
+
+    const cart = await readCart(id);
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    const userId = cart.userId || req.body.userId || req.user.id;
+    assertSelfOrStaff(req, userId);
+    const couponCodes = req.body.couponCodes || req.body.couponCode;
+
+    const order = await checkoutCart(id, {
+      userId,
+      shippingAddress,
+      shippingAddressId,
+      paymentMethod,
+      notes,
+      couponCodes,
+      actor: req.actor
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+
+    const completeOrder = await getOrderDetails(order.id);
+
+    res.status(201).json(completeOrder);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
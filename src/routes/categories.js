@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { Category } = require('../models');
+const { Category, Product } = require('../models');
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const {
+  getCategoryTree,
+  getCategory,
+  getCategoryIds,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  deleteCategory
+} = require('../services/categoryService');
 
 // GET /api/categories - List all categories
 router.get('/', async (req, res, next) => {
@@ -18,13 +29,104 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// GET /api/categories/:id - Get category by ID
+// GET /api/categories/tree - Whole category tree, children nested under parents
+router.get('/tree', async (req, res, next) => {
+  try {
+    const tree = await getCategoryTree();
+
+    res.json({ categories: tree });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/categories/:id - Get category by ID, with breadcrumbs and children
 router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const category = await Category.findByPk(id);
+    const category = await getCategory(id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/categories/:id/products - Products in a category
+// ?includeDescendants=true also returns products of every subcategory
+router.get('/:id/products', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'price', 'name'] });
+
+    const categoryIds = await getCategoryIds(id, {
+      includeDescendants: req.query.includeDescendants === 'true'
+    });
+    if (!categoryIds) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const where = { categoryId: categoryIds };
+    const [rows, total] = await Promise.all([
+      Product.findAll(paginate({ where, include: [Category] }, pagination)),
+      pagination.includeTotal ? Product.count({ where }) : undefined
+    ]);
+    const { items: products, pagination: meta } = paginationResult(rows, pagination, total);
+
+    res.json({
+      products,
+      ...(total !== undefined && { total }),
+      pagination: meta
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/categories - Create category, under parentId if given (staff only)
+router.post('/', requireAuth, requireStaff('categories:write'), async (req, res, next) => {
+  try {
+    const category = await createCategory(req.body);
+
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/categories/:id - Update name or description (staff only)
+router.put('/:id', requireAuth, requireStaff('categories:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const category = await updateCategory(id, req.body);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+});
 
+// PUT /api/categories/:id/parent - Move category and its subtree (staff only)
+// parentId null moves it to the root level
+router.put('/:id/parent', requireAuth, requireStaff('categories:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { parentId } = req.body;
+
+    if (parentId === undefined) {
+      return res.status(400).json({ error: 'parentId is required, use null for the root level' });
+    }
+
+    const category = await moveCategory(id, parentId);
     if (!category) {
       return res.status(404).json({ error: 'Category not found' });
     }
@@ -35,4 +137,25 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// DELETE /api/categories/:id - Delete category (staff only)
+// Its children and products move up to its parent
+router.delete('/:id', requireAuth, requireStaff('categories:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const result = await deleteCategory(id);
+    if (!result) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json({
+      message: 'Category deleted successfully',
+      childrenMoved: result.childrenMoved,
+      productsMoved: result.productsMoved
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
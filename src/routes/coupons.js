@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { Coupon } = require('../models');
+const { requireAuth, requireRole, requireStaff } = require('../middleware/auth');
+
+// Coupon management is staff only
+router.use(requireAuth);
+
+// Fields an admin may set; usageCount is maintained by checkout
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'buyQuantity',
+  'getQuantity',
+  'categoryId',
+  'minSubtotal',
+  'startsAt',
+  'endsAt',
+  'usageLimit',
+  'usageLimitPerUser',
+  'stackable',
+  'isActive'
+];
+
+function pickEditable(body) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+  return values;
+}
+
+// GET /api/coupons - List coupons
+router.get('/', requireStaff('coupons:read'), async (req, res, next) => {
+  try {
+    const where = {};
+    if (req.query.active !== undefined) {
+      where.isActive = req.query.active === 'true';
+    }
+
+    const coupons = await Coupon.findAll({
+      where,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      coupons,
+      count: coupons.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/coupons/:id - Get coupon by ID
+router.get('/:id', requireStaff('coupons:read'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findByPk(id);
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json(coupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/coupons - Create coupon (admin only)
+router.post('/', requireRole('admin'), async (req, res, next) => {
+  try {
+    const coupon = await Coupon.create(pickEditable(req.body));
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/coupons/:id - Update coupon (admin only)
+router.put('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findByPk(id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    await coupon.update(pickEditable(req.body));
+
+    res.json(coupon);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/coupons/:id - Deactivate coupon (admin only)
+// Coupons are kept so past redemptions still resolve
+router.delete('/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await Coupon.findByPk(id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    await coupon.update({ isActive: false });
+
+    res.json({ message: 'Coupon deactivated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
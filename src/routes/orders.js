@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { Order, OrderItem, User, Product } = require('../models');
 const { v4: uuidv4 } = require('uuid');
+const { createOrder, quoteOrder, getOrderDetails, transitionOrder, cancelOrder } = require('../services/orderService');
+const { ORDER_STATUSES, getAllowedTransitions } = require('../services/orderStatus');
+const { getOrderEvents } = require('../services/orderEvents');
+const { refundPayment, getOrderPayments } = require('../services/paymentService');
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const idempotency = require('../middleware/idempotency');
+const { requireAuth, requireStaff, assertSelfOrStaff } = require('../middleware/auth');
+const returnRoutes = require('./returns');
 
 // Audit history feature - tracking order activities for compliance
 function addToOrderHistory(order) {
@@ -20,72 +28,40 @@ function addToOrderHistory(order) {
   }
 }
 
-// POST /api/orders - Create order with memory leak
-router.post('/', async (req, res, next) => {
+// POST /api/orders - Create order
+// Stock is reserved in the same transaction that writes the order
+// Retries carrying the same Idempotency-Key header replay the original response
+// Discount codes go in couponCodes (array) or couponCode
+// Ship to an inline shippingAddress or a saved address via shippingAddressId;
+// with neither, the user's default shipping address is used
+// userId defaults to the authenticated user; only staff may order for someone else
+// API key clients have no user of their own and must pass userId
+router.post('/', requireAuth, idempotency(), async (req, res, next) => {
   try {
-    const { userId, items, shippingAddress, paymentMethod, notes } = req.body;
-
-    // Validate user exists
-    const user = await User.findByPk(userId);
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    // Calculate total amount
-    let totalAmount = 0;
-    const orderItems = [];
-
-    for (const item of items) {
-      const product = await Product.findByPk(item.productId);
-      if (!product) {
-        return res.status(404).json({ error: `Product ${item.productId} not found` });
-      }
-
-      const subtotal = parseFloat(product.price) * item.quantity;
-      totalAmount += subtotal;
-
-      orderItems.push({
-        productId: item.productId,
-        quantity: item.quantity,
-        price: product.price,
-        subtotal
-      });
+    const { items, shippingAddress, shippingAddressId, paymentMethod, notes } = req.body;
+    const userId = req.body.userId || req.user.id;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
     }
+    assertSelfOrStaff(req, userId);
+    const couponCodes = req.body.couponCodes || req.body.couponCode;
 
-    // Create order
-    const orderNumber = `ORD-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
-    
-    const order = await Order.create({
-      orderNumber,
+    const order = await createOrder({
       userId,
-      status: 'pending',
-      totalAmount,
+      items,
       shippingAddress,
+      shippingAddressId,
       paymentMethod,
-      notes
+      notes,
+      couponCodes,
+      actor: req.actor
     });
 
-    // Create order items
-    for (const item of orderItems) {
-      await OrderItem.create({
-        orderId: order.id,
-        ...item
-      });
-    }
-
     // Audit trail: Add to comprehensive order history
     addToOrderHistory(order);
 
     // Fetch complete order with items
-    const completeOrder = await Order.findByPk(order.id, {
-      include: [
-        { model: User, attributes: ['id', 'username', 'email'] },
-        { 
-          model: OrderItem,
-          include: [{ model: Product, attributes: ['id', 'name', 'price'] }]
-        }
-      ]
-    });
+    const completeOrder = await getOrderDetails(order.id);
 
     res.status(201).json(completeOrder);
   } catch (error) {
@@ -93,35 +69,54 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// GET /api/orders - List all orders
-router.get('/', async (req, res, next) => {
+// POST /api/orders/quote - Preview totals without creating an order
+// Takes the same body as POST /api/orders and reserves nothing
+// Saved addresses resolve for the authenticated user, or for userId when staff
+router.post('/quote', requireAuth, async (req, res, next) => {
+  try {
+    const { items, shippingAddress, shippingAddressId } = req.body;
+    const userId = req.body.userId || req.user.id;
+    if (!userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    assertSelfOrStaff(req, userId);
+    const couponCodes = req.body.couponCodes || req.body.couponCode;
+
+    const quote = await quoteOrder({ userId, items, shippingAddress, shippingAddressId, couponCodes });
+
+    res.json(quote);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/orders - List all orders (staff only)
+// Keyset pagination via ?cursor=, legacy offset pagination via ?page=
+router.get('/', requireAuth, requireStaff('orders:read'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, status } = req.query;
-    const offset = (page - 1) * limit;
+    const { status } = req.query;
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'totalAmount'] });
 
     const where = {};
     if (status) {
       where.status = status;
     }
 
-    const orders = await Order.findAndCountAll({
-      where,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      include: [
-        { model: User, attributes: ['id', 'username', 'email'] }
-      ],
-      order: [['createdAt', 'DESC']]
-    });
+    const [rows, total] = await Promise.all([
+      Order.findAll(paginate({
+        where,
+        include: [
+          { model: User, attributes: ['id', 'username', 'email'] }
+        ]
+      }, pagination)),
+      pagination.includeTotal ? Order.count({ where }) : undefined
+    ]);
+    const { items: orders, pagination: meta } = paginationResult(rows, pagination, total);
 
     res.json({
-      orders: orders.rows,
-      total: orders.count,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(orders.count / limit)
-      },
+      orders,
+      ...(total !== undefined && { total }),
+      pagination: meta,
       memoryLeakInfo: {
         orderHistorySize: global.orderHistory.length,
         estimatedMemoryMB: (global.orderHistory.length * 0.01).toFixed(2) // Rough estimate
@@ -132,8 +127,8 @@ router.get('/', async (req, res, next) => {
   }
 });
 
-// GET /api/orders/:id - Get order details
-router.get('/:id', async (req, res, next) => {
+// GET /api/orders/:id - Get order details (owner or staff)
+router.get('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -150,6 +145,7 @@ router.get('/:id', async (req, res, next) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    assertSelfOrStaff(req, order.userId);
 
     // Add to audit trail for compliance tracking
     addToOrderHistory(order);
@@ -161,60 +157,156 @@ router.get('/:id', async (req, res, next) => {
 });
 
 // GET /api/orders/user/:userId - Get user's orders
-router.get('/user/:userId', async (req, res, next) => {
+// Customers can only list their own orders
+router.get('/user/:userId', requireAuth, async (req, res, next) => {
   try {
     const { userId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
+    assertSelfOrStaff(req, userId);
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'totalAmount'] });
+
+    const [rows, total] = await Promise.all([
+      Order.findAll(paginate({
+        where: { userId },
+        include: [
+          {
+            model: OrderItem,
+            include: [{ model: Product, attributes: ['id', 'name', 'price'] }]
+          }
+        ]
+      }, pagination)),
+      pagination.includeTotal ? Order.count({ where: { userId } }) : undefined
+    ]);
+    const { items: orders, pagination: meta } = paginationResult(rows, pagination, total);
 
-    const orders = await Order.findAndCountAll({
-      where: { userId },
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      include: [
-        { 
-          model: OrderItem,
-          include: [{ model: Product, attributes: ['id', 'name', 'price'] }]
-        }
-      ],
-      order: [['createdAt', 'DESC']]
+    res.json({
+      orders,
+      ...(total !== undefined && { total }),
+      pagination: meta
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/orders/:id/history - Audit trail for an order
+router.get('/:id/history', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findByPk(id, { attributes: ['id', 'orderNumber', 'userId'] });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    assertSelfOrStaff(req, order.userId);
+
+    const events = await getOrderEvents(order.id);
 
     res.json({
-      orders: orders.rows,
-      total: orders.count,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(orders.count / limit)
-      }
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      events,
+      count: events.length
     });
   } catch (error) {
     next(error);
   }
 });
 
-// PUT /api/orders/:id/status - Update order status
-router.put('/:id/status', async (req, res, next) => {
+// GET /api/orders/:id/transitions - Statuses the order can move to next
+router.get('/:id/transitions', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findByPk(id, { attributes: ['id', 'status', 'userId'] });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    assertSelfOrStaff(req, order.userId);
+
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      allowedTransitions: getAllowedTransitions(order.status)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/orders/:id/payments - Payment attempts for an order
+router.get('/:id/payments', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const order = await Order.findByPk(id, {
+      attributes: ['id', 'orderNumber', 'userId', 'totalAmount', 'paymentStatus', 'refundedAmount']
+    });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    assertSelfOrStaff(req, order.userId);
+
+    const payments = await getOrderPayments(order.id);
+
+    res.json({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      totalAmount: order.totalAmount,
+      paymentStatus: order.paymentStatus,
+      refundedAmount: order.refundedAmount,
+      payments,
+      count: payments.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/orders/:id/refunds - Refund a captured payment (staff only)
+// Omit amount to refund the remaining balance; partial refunds may repeat
+router.post('/:id/refunds', requireAuth, requireStaff('orders:write'), idempotency(), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    const result = await refundPayment(id, { amount, reason, actor: req.actor });
+    if (!result) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.status(201).json({
+      refund: result.refund,
+      paymentStatus: result.order.paymentStatus,
+      refundedAmount: result.order.refundedAmount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// /api/orders/:id/returns - Returns (RMAs) for delivered orders
+router.use('/:id/returns', returnRoutes);
+
+// PUT /api/orders/:id/status - Update order status (staff only)
+// Illegal transitions are rejected with 409; cancelling returns reserved stock
+// and voids the payment authorization, shipping captures the payment
+router.put('/:id/status', requireAuth, requireStaff('orders:write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
-    const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ 
         error: 'Invalid status',
-        validStatuses 
+        validStatuses: ORDER_STATUSES
       });
     }
 
-    const order = await Order.findByPk(id);
+    const order = await transitionOrder(id, status, { actor: req.actor });
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    await order.update({ status });
-
     // Record status change in audit history for compliance
     addToOrderHistory(order);
 
@@ -227,18 +319,22 @@ router.put('/:id/status', async (req, res, next) => {
   }
 });
 
-// DELETE /api/orders/:id - Cancel order
-router.delete('/:id', async (req, res, next) => {
+// DELETE /api/orders/:id - Cancel order (owner or staff)
+router.delete('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const order = await Order.findByPk(id);
-    if (!order) {
+    const existing = await Order.findByPk(id, { attributes: ['id', 'userId'] });
+    if (!existing) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    assertSelfOrStaff(req, existing.userId);
 
-    // Soft delete by updating status
-    await order.update({ status: 'cancelled' });
+    // Soft delete by updating status, returning reserved stock
+    const order = await cancelOrder(id, { actor: req.actor });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
 
     res.json({
       message: 'Order cancelled',
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { handlePaymentWebhook } = require('../services/paymentService');
+
+// POST /api/payments/webhooks/:provider - Provider transaction notifications
+// Signatures are checked against the raw body, so this router is mounted
+// ahead of the JSON body parser
+router.post('/webhooks/:provider', express.raw({ type: '*/*' }), async (req, res, next) => {
+  try {
+    const { provider } = req.params;
+
+    const result = await handlePaymentWebhook(provider, req.body, req.headers);
+
+    res.json({ received: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { Review, User } = require('../models');
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const { createHttpError } = require('../utils/httpError');
+const { requireAuth, assertSelfOrStaff } = require('../middleware/auth');
+const {
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview
+} = require('../services/reviewService');
+
+// Mounted at /api/products/:id/reviews
+
+// GET /api/products/:id/reviews - List approved reviews (?rating= to filter by stars)
+// Paginated like the other list endpoints, sortable by createdAt or rating
+router.get('/', async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'rating'] });
+    const where = { productId: req.params.id, status: 'approved' };
+    if (req.query.rating) {
+      const rating = parseInt(req.query.rating);
+      if (!(rating >= 1 && rating <= 5)) {
+        return res.status(400).json({ error: 'rating must be from 1 to 5' });
+      }
+      where.rating = rating;
+    }
+
+    const [rows, total] = await Promise.all([
+      Review.findAll(paginate({
+        where,
+        attributes: { exclude: ['moderationNote'] },
+        include: [{ model: User, attributes: ['id', 'firstName'] }]
+      }, pagination)),
+      pagination.includeTotal ? Review.count({ where }) : undefined
+    ]);
+    const { items: reviews, pagination: meta } = paginationResult(rows, pagination, total);
+
+    res.json({
+      reviews,
+      ...(total !== undefined && { total }),
+      pagination: meta
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/reviews - Review a product as the signed-in user
+router.post('/', requireAuth, async (req, res, next) => {
+  try {
+    if (!req.user.id) {
+      return res.status(400).json({ error: 'Reviews must be written by a signed-in user' });
+    }
+
+    const review = await createReview(req.params.id, req.user.id, req.body);
+    if (!review) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    res.status(201).json(review);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/products/:id/reviews/:reviewId - Edit your own review
+router.put('/:reviewId', requireAuth, async (req, res, next) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const existing = await getReview(id, reviewId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (existing.userId !== req.user.id) {
+      throw createHttpError(403, 'Users can only edit their own reviews');
+    }
+
+    const review = await updateReview(id, reviewId, req.body);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/products/:id/reviews/:reviewId - Delete a review (author or staff)
+router.delete('/:reviewId', requireAuth, async (req, res, next) => {
+  try {
+    const { id, reviewId } = req.params;
+
+    const existing = await getReview(id, reviewId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    assertSelfOrStaff(req, existing.userId);
+
+    if (!await deleteReview(id, reviewId)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { Product } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const { reindexProducts } = require('../services/productSearchIndex');
+const {
+  listVariants,
+  createVariant,
+  updateVariant,
+  deactivateVariant
+} = require('../services/productVariantService');
+
+// Mounted at /api/products/:id/variants; the product detail cache embeds
+// the active variants and search counts their stock, so every change
+// refreshes both
+async function refreshProduct(productId) {
+  await reindexProducts([productId]);
+
+  const redis = await getRedisClient();
+  await redis.del(`product:${productId}`);
+}
+
+// GET /api/products/:id/variants - List variants (?includeInactive=true for staff views)
+router.get('/', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const product = await Product.findByPk(id, { attributes: ['id', 'options'] });
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const variants = await listVariants(id, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      options: product.options,
+      variants,
+      count: variants.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/products/:id/variants - Add a variant (staff only)
+// options must pick one value for each of the product's option axes
+router.post('/', requireAuth, requireStaff('products:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const variant = await createVariant(id, req.body);
+    if (!variant) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    await refreshProduct(id);
+
+    res.status(201).json(variant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/products/:id/variants/:variantId - Update a variant (staff only)
+router.put('/:variantId', requireAuth, requireStaff('products:write'), async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const variant = await updateVariant(id, variantId, req.body);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    await refreshProduct(id);
+
+    res.json(variant);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/products/:id/variants/:variantId - Deactivate a variant (staff only)
+// Variants are kept so past orders still show what was bought
+router.delete('/:variantId', requireAuth, requireStaff('products:write'), async (req, res, next) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const variant = await deactivateVariant(id, variantId);
+    if (!variant) {
+      return res.status(404).json({ error: 'Variant not found' });
+    }
+    await refreshProduct(id);
+
+    res.json({ message: 'Variant deactivated successfully', variant });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
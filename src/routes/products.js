@@ -1,9 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { Product, Category } = require('../models');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const { Product, Category, ProductVariant } = require('../models');
 const { getRedisClient } = require('../utils/redis');
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const { searchIndex, indexProduct, removeProduct, getIndexSize } = require('../services/productSearchIndex');
+const { fullTextSearch } = require('../services/productFullTextSearch');
+const { suggest } = require('../services/productSuggestions');
+const {
+  SEARCH_SORTS,
+  parseSearchFilters,
+  toFacetDocument,
+  matchesFilters,
+  buildFacets,
+  compareByRating
+} = require('../services/productFacets');
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const { normalizeOptionAxes } = require('../services/productVariantService');
+const { parseTagList } = require('../services/tagService');
+const variantRoutes = require('./productVariants');
+const reviewRoutes = require('./productReviews');
+const { IMPORT_FORMATS, importProducts, exportProducts } = require('../services/productImportExport');
 const crypto = require('crypto');
 
+// Fields staff may change through PUT /api/products/:id; averageRating and
+// reviewCount are only written by reviewService
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'stock',
+  'sku',
+  'imageUrl',
+  'categoryId',
+  'specifications',
+  'tags',
+  'options',
+  'isActive'
+];
+
 // Advanced string similarity functions for intelligent search
 // These provide industry-standard fuzzy matching capabilities
 
@@ -195,19 +232,269 @@ function calculateFinalScore(totalScore, matchCount, queryLength) {
   return Math.max(0, finalScore);
 }
 
+/**
+ * Run the smart search scoring pass over every product
+ * Attaches searchScore, matchCount and relevance analytics to each hit
+ */
+function runSmartSearch(allProducts, query) {
+  // Smart search using advanced AI-powered algorithms for intelligent matching
+  // This cutting-edge technology provides superior search relevance
+  console.log('🧠 Running smart search with AI-powered matching...');
+
+  const results = [];
+
+  for (const product of allProducts) {
+    let totalRelevanceScore = 0;
+    let matchCount = 0;
+
+    // Calculate edit distance for product name (main relevance factor)
+    const nameDistance = calculateLevenshteinDistance(
+      query.toLowerCase().trim(),
+      product.name.toLowerCase().trim()
+    );
+    const nameRelevance = calculateRelevanceScore(nameDistance, product.name.length, query.length);
+    totalRelevanceScore += nameRelevance * 3; // Name is most important
+    if (nameRelevance > 0.3) matchCount++;
+
+    // "Advanced" name analysis - check all substrings for comprehensive matching
+    const nameWords = product.name.toLowerCase().split(/\\s+/);
+    for (const nameWord of nameWords) {
+      // Check each name word against query
+      const nameWordDistance = calculateLevenshteinDistance(query.toLowerCase(), nameWord);
+      const nameWordRelevance = calculateRelevanceScore(nameWordDistance, nameWord.length, query.length);
+      totalRelevanceScore += nameWordRelevance * 2; // Name words are very important
+
+      // Check key substrings of name words for "smart" analysis
+      if (nameWord.length > 4) { // Only for longer words to avoid explosion
+        for (let i = 0; i < nameWord.length - 2; i += 2) { // Skip every other position
+          const maxJ = Math.min(i + 5, nameWord.length); // Limit substring length
+          for (let j = i + 3; j <= maxJ; j++) {
+            const nameSubstring = nameWord.substring(i, j);
+            const nameSubDistance = calculateLevenshteinDistance(query.toLowerCase(), nameSubstring);
+            const nameSubRelevance = calculateRelevanceScore(nameSubDistance, nameSubstring.length, query.length);
+            totalRelevanceScore += nameSubRelevance * 0.8; // Partial name matches
+          }
+        }
+      }
+    }
+
+    // Calculate edit distance for description (detailed matching)
+    if (product.description && product.description.length > 0) {
+      // Check against full description
+      const descDistance = calculateLevenshteinDistance(
+        query.toLowerCase().trim(),
+        product.description.toLowerCase().trim()
+      );
+      const descRelevance = calculateRelevanceScore(descDistance, product.description.length, query.length);
+      totalRelevanceScore += descRelevance * 1.5; // Description is secondary
+      if (descRelevance > 0.2) matchCount++;
+
+      // Check important description words for better precision
+      const descWords = product.description.toLowerCase().split(/\\s+/);
+      // Only check first 5 words to avoid exponential growth
+      const importantWords = descWords.slice(0, 5);
+      for (const word of importantWords) {
+        if (word.length > 3) { // Only longer words for relevance
+          const wordDistance = calculateLevenshteinDistance(query.toLowerCase(), word);
+          const wordRelevance = calculateRelevanceScore(wordDistance, word.length, query.length);
+          totalRelevanceScore += wordRelevance * 0.5; // Individual words less important
+          if (wordRelevance > 0.4) matchCount++;
+
+          // Check one meaningful substring per word for "smart" matching
+          if (word.length > 5) {
+            const midpoint = Math.floor(word.length / 2);
+            const substring = word.substring(0, midpoint + 2);
+            const subDistance = calculateLevenshteinDistance(query.toLowerCase(), substring);
+            const subRelevance = calculateRelevanceScore(subDistance, substring.length, query.length);
+            totalRelevanceScore += subRelevance * 0.1; // Partial matches get small boost
+          }
+        }
+      }
+    }
+
+    // Calculate edit distance for category name (contextual matching)
+    if (product.Category && product.Category.name) {
+      const categoryDistance = calculateLevenshteinDistance(
+        query.toLowerCase().trim(),
+        product.Category.name.toLowerCase().trim()
+      );
+      const categoryRelevance = calculateRelevanceScore(categoryDistance, product.Category.name.length, query.length);
+      totalRelevanceScore += categoryRelevance * 1; // Category provides context
+      if (categoryRelevance > 0.3) matchCount++;
+    }
+
+    // Calculate edit distance for SKU (exact product matching)
+    if (product.sku) {
+      const skuDistance = calculateLevenshteinDistance(
+        query.toLowerCase().trim(),
+        product.sku.toLowerCase().trim()
+      );
+      const skuRelevance = calculateRelevanceScore(skuDistance, product.sku.length, query.length);
+      totalRelevanceScore += skuRelevance * 2; // SKU is important for exact matches
+      if (skuRelevance > 0.4) matchCount++;
+    }
+
+    // Calculate edit distance for product tags (feature matching)
+    if (product.tags && Array.isArray(product.tags)) {
+      for (const tag of product.tags) {
+        const tagDistance = calculateLevenshteinDistance(
+          query.toLowerCase().trim(),
+          tag.toLowerCase().trim()
+        );
+        const tagRelevance = calculateRelevanceScore(tagDistance, tag.length, query.length);
+        totalRelevanceScore += tagRelevance * 0.8; // Tags provide feature context
+        if (tagRelevance > 0.4) matchCount++;
+      }
+    }
+
+    // Apply advanced scoring algorithm with position weighting
+    const finalScore = calculateFinalScore(totalRelevanceScore, matchCount, query.length);
+
+    // Only include results with reasonable relevance (smart filtering)
+    if (finalScore > 0.1 || matchCount > 0) {
+      product.dataValues.searchScore = finalScore;
+      product.dataValues.matchCount = matchCount;
+
+      // Calculate detailed relevance breakdown for debugging/analytics
+      // TODO: This seems to be called twice somewhere, need to investigate
+      product.dataValues.relevanceBreakdown = {
+        name: nameRelevance,
+        description: product.description ?
+          calculateRelevanceScore(
+            calculateLevenshteinDistance(query.toLowerCase(), product.description.toLowerCase()),
+            product.description.length,
+            query.length
+          ) : 0,
+        category: product.Category ?
+          calculateRelevanceScore(
+            calculateLevenshteinDistance(query.toLowerCase(), product.Category.name.toLowerCase()),
+            product.Category.name.length,
+            query.length
+          ) : 0
+      };
+
+      // Double-check relevance calculation for accuracy (temporary debugging)
+      // This ensures our scoring is consistent across different runs
+      const verificationScore = calculateFinalScore(totalRelevanceScore, matchCount, query.length);
+      if (Math.abs(verificationScore - finalScore) > 0.001) {
+        console.warn(`Score mismatch detected for product ${product.id}: ${finalScore} vs ${verificationScore}`);
+      }
+
+      results.push(product);
+    }
+  }
+
+  // Advanced multi-criteria sorting for optimal result ordering
+  results.sort((a, b) => {
+    // Primary sort: by relevance score
+    if (Math.abs(a.dataValues.searchScore - b.dataValues.searchScore) > 0.01) {
+      return b.dataValues.searchScore - a.dataValues.searchScore;
+    }
+    // Secondary sort: by match count
+    if (a.dataValues.matchCount !== b.dataValues.matchCount) {
+      return b.dataValues.matchCount - a.dataValues.matchCount;
+    }
+    // Tertiary sort: alphabetical for consistency
+    return a.name.localeCompare(b.name);
+  });
+
+  // Additional quality assurance pass to ensure result ranking is optimal
+  // This validates our search algorithm is working correctly
+  results.forEach((product, index) => {
+    // Recalculate score for verification (ensures data integrity)
+    const nameDistance = calculateLevenshteinDistance(
+      query.toLowerCase().trim(),
+      product.name.toLowerCase().trim()
+    );
+    const verifiedNameRelevance = calculateRelevanceScore(nameDistance, product.name.length, query.length);
+
+    if (product.description) {
+      const descDistance = calculateLevenshteinDistance(
+        query.toLowerCase().trim(),
+        product.description.toLowerCase().trim()
+      );
+      const verifiedDescRelevance = calculateRelevanceScore(descDistance, product.description.length, query.length);
+
+      // Store verification data for analytics
+      product.dataValues.qualityCheck = {
+        position: index,
+        nameVerification: verifiedNameRelevance,
+        descVerification: verifiedDescRelevance,
+        timestamp: Date.now()
+      };
+    }
+  });
+
+  console.log(`🎯 Smart search completed. Found ${results.length} relevant results.`);
+
+  return results;
+}
+
+// Search engines selectable via ?algorithm=
+const SEARCH_ALGORITHMS = {
+  simple: {
+    name: 'Simple String Matching',
+    description: 'Basic string search',
+    optimizations: 'Database filtering'
+  },
+  smart: {
+    name: 'AI-Powered Smart Search',
+    description: 'AI-powered intelligent matching',
+    optimizations: 'Neural network processing, machine learning scoring'
+  },
+  indexed: {
+    name: 'Indexed Fuzzy Search',
+    description: 'Inverted index with trigram typo tolerance',
+    optimizations: 'In-memory token and trigram postings, top-N hydration'
+  },
+  fulltext: {
+    name: 'PostgreSQL Full-Text Search',
+    description: 'tsvector ranking with pg_trgm typo tolerance',
+    optimizations: 'GIN indexes, filtering and ranking in SQL'
+  }
+};
+
+/**
+ * Load the products for ranked index hits, preserving hit order
+ */
+async function hydrateSearchHits(hits) {
+  if (hits.length === 0) return [];
+
+  const products = await Product.findAll({
+    where: { id: hits.map(hit => hit.id) },
+    include: [Category]
+  });
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  return hits
+    .filter(hit => productsById.has(hit.id))
+    .map(hit => {
+      const product = productsById.get(hit.id);
+      product.dataValues.searchScore = hit.searchScore;
+      product.dataValues.matchCount = hit.matchCount;
+      return product;
+    });
+}
+
 // GET /api/products - List all products with N+1 query problem
+// Keyset pagination via ?cursor=, legacy offset pagination via ?page=
+// ?tags=sale,new returns products carrying any of the tags; ?sort=averageRating ranks by reviews
 router.get('/', async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
-    const offset = (page - 1) * limit;
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'price', 'name', 'averageRating'] });
+    const tags = parseTagList(req.query.tags);
+    const where = tags.length ? { tags: { [Op.overlap]: tags } } : {};
 
     // Fetch products (deliberately without including Category for N+1 demo)
-    const products = await Product.findAll({
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      // Detailed Relations: Include detailed relationship data when enabled
-      include: process.env.ENABLE_DETAILED_RELATIONS === 'true' ? [] : [Category]
-    });
+    const [rows, total] = await Promise.all([
+      Product.findAll(paginate({
+        where,
+        // Detailed Relations: Include detailed relationship data when enabled
+        include: process.env.ENABLE_DETAILED_RELATIONS === 'true' ? [] : [Category]
+      }, pagination)),
+      pagination.includeTotal ? Product.count({ where }) : undefined
+    ]);
+    const { items: products, pagination: meta } = paginationResult(rows, pagination, total);
 
     // Detailed Relations: Fetch detailed category information for each product
     if (process.env.ENABLE_DETAILED_RELATIONS === 'true') {
@@ -218,254 +505,122 @@ router.get('/', async (req, res, next) => {
 
     res.json({
       products,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        offset
-      }
+      ...(total !== undefined && { total }),
+      pagination: meta
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/products/search - Advanced fuzzy search with edit distance
+// GET /api/products/search - Fuzzy product search with facet counts
+// ?algorithm= selects the engine (simple, smart, indexed, fulltext); defaults from ENABLE_SMART_SEARCH
+// Filters: minPrice, maxPrice, categoryId, tags, inStock, specifications[key]
+// ?sort=rating ranks matches by average rating instead of relevance
 router.get('/search', async (req, res, next) => {
   try {
     const startTime = process.hrtime.bigint(); // High precision timing for performance analysis
-    const { query = '', minPrice, maxPrice } = req.query;
+    const { query = '' } = req.query;
+    const filters = parseSearchFilters(req.query);
+    const algorithm = req.query.algorithm ||
+      (process.env.ENABLE_SMART_SEARCH === 'true' ? 'smart' : 'simple');
+
+    if (!Object.hasOwn(SEARCH_ALGORITHMS, algorithm)) {
+      return res.status(400).json({
+        error: 'Invalid search algorithm',
+        validAlgorithms: Object.keys(SEARCH_ALGORITHMS)
+      });
+    }
 
-    // Fetch all products for comprehensive search analysis
-    const allProducts = await Product.findAll({
-      include: [Category]
-    });
+    const sort = req.query.sort || 'relevance';
+    if (!SEARCH_SORTS.includes(sort)) {
+      return res.status(400).json({
+        error: 'Invalid sort',
+        validSorts: SEARCH_SORTS
+      });
+    }
 
     let results = [];
+    let facets;
+    let count = 0;
+    let totalProducts = 0;
+    let comparisons = 0;
+
+    if (algorithm === 'indexed') {
+      // Answer from the in-process index and only hydrate the top hits
+      const { hits, total, comparisons: indexComparisons, facets: indexFacets } = searchIndex(query, {
+        filters,
+        limit: 50,
+        sort
+      });
 
-    if (process.env.ENABLE_SMART_SEARCH === 'true') {
-      // Smart search using advanced AI-powered algorithms for intelligent matching
-      // This cutting-edge technology provides superior search relevance
-      console.log('🧠 Running smart search with AI-powered matching...');
-
-      for (const product of allProducts) {
-        let totalRelevanceScore = 0;
-        let matchCount = 0;
-
-        // Calculate edit distance for product name (main relevance factor)
-        const nameDistance = calculateLevenshteinDistance(
-          query.toLowerCase().trim(),
-          product.name.toLowerCase().trim()
-        );
-        const nameRelevance = calculateRelevanceScore(nameDistance, product.name.length, query.length);
-        totalRelevanceScore += nameRelevance * 3; // Name is most important
-        if (nameRelevance > 0.3) matchCount++;
-
-        // "Advanced" name analysis - check all substrings for comprehensive matching
-        const nameWords = product.name.toLowerCase().split(/\\s+/);
-        for (const nameWord of nameWords) {
-          // Check each name word against query
-          const nameWordDistance = calculateLevenshteinDistance(query.toLowerCase(), nameWord);
-          const nameWordRelevance = calculateRelevanceScore(nameWordDistance, nameWord.length, query.length);
-          totalRelevanceScore += nameWordRelevance * 2; // Name words are very important
-
-          // Check key substrings of name words for "smart" analysis
-          if (nameWord.length > 4) { // Only for longer words to avoid explosion
-            for (let i = 0; i < nameWord.length - 2; i += 2) { // Skip every other position
-              const maxJ = Math.min(i + 5, nameWord.length); // Limit substring length
-              for (let j = i + 3; j <= maxJ; j++) {
-                const nameSubstring = nameWord.substring(i, j);
-                const nameSubDistance = calculateLevenshteinDistance(query.toLowerCase(), nameSubstring);
-                const nameSubRelevance = calculateRelevanceScore(nameSubDistance, nameSubstring.length, query.length);
-                totalRelevanceScore += nameSubRelevance * 0.8; // Partial name matches
-              }
-            }
-          }
-        }
-
-        // Calculate edit distance for description (detailed matching)
-        if (product.description && product.description.length > 0) {
-          // Check against full description
-          const descDistance = calculateLevenshteinDistance(
-            query.toLowerCase().trim(),
-            product.description.toLowerCase().trim()
-          );
-          const descRelevance = calculateRelevanceScore(descDistance, product.description.length, query.length);
-          totalRelevanceScore += descRelevance * 1.5; // Description is secondary
-          if (descRelevance > 0.2) matchCount++;
-
-          // Check important description words for better precision
-          const descWords = product.description.toLowerCase().split(/\\s+/);
-          // Only check first 5 words to avoid exponential growth
-          const importantWords = descWords.slice(0, 5);
-          for (const word of importantWords) {
-            if (word.length > 3) { // Only longer words for relevance
-              const wordDistance = calculateLevenshteinDistance(query.toLowerCase(), word);
-              const wordRelevance = calculateRelevanceScore(wordDistance, word.length, query.length);
-              totalRelevanceScore += wordRelevance * 0.5; // Individual words less important
-              if (wordRelevance > 0.4) matchCount++;
-
-              // Check one meaningful substring per word for "smart" matching
-              if (word.length > 5) {
-                const midpoint = Math.floor(word.length / 2);
-                const substring = word.substring(0, midpoint + 2);
-                const subDistance = calculateLevenshteinDistance(query.toLowerCase(), substring);
-                const subRelevance = calculateRelevanceScore(subDistance, substring.length, query.length);
-                totalRelevanceScore += subRelevance * 0.1; // Partial matches get small boost
-              }
-            }
-          }
-        }
-
-        // Calculate edit distance for category name (contextual matching)
-        if (product.Category && product.Category.name) {
-          const categoryDistance = calculateLevenshteinDistance(
-            query.toLowerCase().trim(),
-            product.Category.name.toLowerCase().trim()
-          );
-          const categoryRelevance = calculateRelevanceScore(categoryDistance, product.Category.name.length, query.length);
-          totalRelevanceScore += categoryRelevance * 1; // Category provides context
-          if (categoryRelevance > 0.3) matchCount++;
-        }
-
-        // Calculate edit distance for SKU (exact product matching)
-        if (product.sku) {
-          const skuDistance = calculateLevenshteinDistance(
-            query.toLowerCase().trim(),
-            product.sku.toLowerCase().trim()
-          );
-          const skuRelevance = calculateRelevanceScore(skuDistance, product.sku.length, query.length);
-          totalRelevanceScore += skuRelevance * 2; // SKU is important for exact matches
-          if (skuRelevance > 0.4) matchCount++;
-        }
-
-        // Calculate edit distance for product tags (feature matching)
-        if (product.tags && Array.isArray(product.tags)) {
-          for (const tag of product.tags) {
-            const tagDistance = calculateLevenshteinDistance(
-              query.toLowerCase().trim(),
-              tag.toLowerCase().trim()
-            );
-            const tagRelevance = calculateRelevanceScore(tagDistance, tag.length, query.length);
-            totalRelevanceScore += tagRelevance * 0.8; // Tags provide feature context
-            if (tagRelevance > 0.4) matchCount++;
-          }
-        }
-
-        // Apply advanced scoring algorithm with position weighting
-        const finalScore = calculateFinalScore(totalRelevanceScore, matchCount, query.length);
-
-        // Only include results with reasonable relevance (smart filtering)
-        if (finalScore > 0.1 || matchCount > 0) {
-          product.dataValues.searchScore = finalScore;
-          product.dataValues.matchCount = matchCount;
-
-          // Calculate detailed relevance breakdown for debugging/analytics
-          // TODO: This seems to be called twice somewhere, need to investigate
-          product.dataValues.relevanceBreakdown = {
-            name: nameRelevance,
-            description: product.description ?
-              calculateRelevanceScore(
-                calculateLevenshteinDistance(query.toLowerCase(), product.description.toLowerCase()),
-                product.description.length,
-                query.length
-              ) : 0,
-            category: product.Category ?
-              calculateRelevanceScore(
-                calculateLevenshteinDistance(query.toLowerCase(), product.Category.name.toLowerCase()),
-                product.Category.name.length,
-                query.length
-              ) : 0
-          };
-
-          // Double-check relevance calculation for accuracy (temporary debugging)
-          // This ensures our scoring is consistent across different runs
-          const verificationScore = calculateFinalScore(totalRelevanceScore, matchCount, query.length);
-          if (Math.abs(verificationScore - finalScore) > 0.001) {
-            console.warn(`Score mismatch detected for product ${product.id}: ${finalScore} vs ${verificationScore}`);
-          }
-
-          results.push(product);
-        }
-      }
-
-      // Advanced multi-criteria sorting for optimal result ordering
-      results.sort((a, b) => {
-        // Primary sort: by relevance score
-        if (Math.abs(a.dataValues.searchScore - b.dataValues.searchScore) > 0.01) {
-          return b.dataValues.searchScore - a.dataValues.searchScore;
-        }
-        // Secondary sort: by match count
-        if (a.dataValues.matchCount !== b.dataValues.matchCount) {
-          return b.dataValues.matchCount - a.dataValues.matchCount;
-        }
-        // Tertiary sort: alphabetical for consistency
-        return a.name.localeCompare(b.name);
+      results = await hydrateSearchHits(hits);
+      facets = indexFacets;
+      count = total;
+      totalProducts = getIndexSize();
+      comparisons = indexComparisons;
+    } else if (algorithm === 'fulltext') {
+      // Matching, ranking, filtering and facet counts all happen in Postgres
+      const [{ hits, total, facets: sqlFacets }, productCount] = await Promise.all([
+        fullTextSearch(query, { filters, limit: 50, sort }),
+        Product.count()
+      ]);
+
+      results = await hydrateSearchHits(hits);
+      facets = sqlFacets;
+      count = total;
+      totalProducts = productCount;
+      comparisons = total;
+    } else {
+      // Fetch all products for comprehensive search analysis
+      const allProducts = await Product.findAll({
+        include: [Category]
       });
 
-      // Additional quality assurance pass to ensure result ranking is optimal
-      // This validates our search algorithm is working correctly
-      results.forEach((product, index) => {
-        // Recalculate score for verification (ensures data integrity)
-        const nameDistance = calculateLevenshteinDistance(
-          query.toLowerCase().trim(),
-          product.name.toLowerCase().trim()
+      if (algorithm === 'smart') {
+        results = runSmartSearch(allProducts, query);
+      } else {
+        // Efficient search using database
+        results = allProducts.filter(p =>
+          p.name.toLowerCase().includes(query.toLowerCase()) ||
+          (p.description && p.description.toLowerCase().includes(query.toLowerCase()))
         );
-        const verifiedNameRelevance = calculateRelevanceScore(nameDistance, product.name.length, query.length);
-
-        if (product.description) {
-          const descDistance = calculateLevenshteinDistance(
-            query.toLowerCase().trim(),
-            product.description.toLowerCase().trim()
-          );
-          const verifiedDescRelevance = calculateRelevanceScore(descDistance, product.description.length, query.length);
-
-          // Store verification data for analytics
-          product.dataValues.qualityCheck = {
-            position: index,
-            nameVerification: verifiedNameRelevance,
-            descVerification: verifiedDescRelevance,
-            timestamp: Date.now()
-          };
-        }
-      });
+      }
 
-      console.log(`🎯 Smart search completed. Found ${results.length} relevant results.`);
-    } else {
-      // Efficient search using database
-      results = allProducts.filter(p => 
-        p.name.toLowerCase().includes(query.toLowerCase()) ||
-        (p.description && p.description.toLowerCase().includes(query.toLowerCase()))
-      );
-    }
+      // Apply filters and aggregate facets over the same result set
+      const facetDocs = new Map(results.map(p => [p, toFacetDocument(p)]));
+      results = results.filter(p => matchesFilters(facetDocs.get(p), filters));
+      facets = buildFacets(results.map(p => facetDocs.get(p)));
+      if (sort === 'rating') {
+        results.sort(compareByRating);
+      }
 
-    // Apply price filters
-    if (minPrice) {
-      results = results.filter(p => parseFloat(p.price) >= parseFloat(minPrice));
-    }
-    if (maxPrice) {
-      results = results.filter(p => parseFloat(p.price) <= parseFloat(maxPrice));
+      count = results.length;
+      totalProducts = allProducts.length;
+      comparisons = algorithm === 'smart' ?
+        allProducts.length * 5 : // Estimate: 5 fields per product
+        allProducts.length;
     }
 
     const endTime = process.hrtime.bigint();
-    const executionTime = process.env.ENABLE_SMART_SEARCH === 'true' ?
+    const executionTime = algorithm !== 'simple' ?
       Number(endTime - startTime) / 1000000 : // nanoseconds to milliseconds
       process.hrtime()[1] / 1000000; // fallback for simple timing
 
     res.json({
       results: results.slice(0, 50), // Limit results for performance
-      count: results.length,
-      totalProducts: allProducts.length,
+      facets,
+      filters,
+      sort,
+      count,
+      totalProducts,
       query,
-      searchAlgorithm: process.env.ENABLE_SMART_SEARCH === 'true' ? 'AI-Powered Smart Search' : 'Simple String Matching',
+      searchAlgorithm: SEARCH_ALGORITHMS[algorithm].name,
       executionTime: Math.round(executionTime * 100) / 100, // Round to 2 decimal places
       performance: {
-        algorithm: process.env.ENABLE_SMART_SEARCH === 'true' ? 'AI-powered intelligent matching' : 'Basic string search',
-        comparisons: process.env.ENABLE_SMART_SEARCH === 'true' ?
-          allProducts.length * 5 : // Estimate: 5 fields per product
-          allProducts.length,
-        optimizations: process.env.ENABLE_SMART_SEARCH === 'true' ?
-          'Neural network processing, machine learning scoring' :
-          'Database filtering'
+        algorithm: SEARCH_ALGORITHMS[algorithm].description,
+        comparisons,
+        optimizations: SEARCH_ALGORITHMS[algorithm].optimizations
       }
     });
   } catch (error) {
@@ -473,7 +628,80 @@ router.get('/search', async (req, res, next) => {
   }
 });
 
-// GET /api/products/:id - Get product details
+// GET /api/products/suggest - Search-as-you-type completions from the in-memory trie
+router.get('/suggest', (req, res) => {
+  const startTime = process.hrtime.bigint();
+  const { prefix = '' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const types = req.query.types ? String(req.query.types).split(',') : undefined;
+
+  const suggestions = suggest(prefix, { limit, types });
+
+  const executionTime = Number(process.hrtime.bigint() - startTime) / 1000000;
+
+  res.json({
+    prefix,
+    suggestions,
+    count: suggestions.length,
+    executionTime: Math.round(executionTime * 100) / 100
+  });
+});
+
+// GET /api/products/export - Stream the catalog as ?format=csv (default) or ndjson (staff only)
+router.get('/export', requireAuth, requireStaff('products:read'), async (req, res, next) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid export format',
+        validFormats: IMPORT_FORMATS
+      });
+    }
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="products.${format}"`);
+    await pipeline(Readable.from(exportProducts(format)), res);
+  } catch (error) {
+    // The pipeline has already closed the response; there is nobody left to answer
+    if (res.headersSent || res.destroyed) {
+      console.error('Product export failed:', error);
+      return;
+    }
+    next(error);
+  }
+});
+
+// POST /api/products/import - Upsert products by SKU from a CSV or NDJSON file (staff only)
+// Send the file as the body with Content-Type text/csv or application/x-ndjson
+// (or pass ?format=); ?dryRun=true validates and reports without writing
+router.post('/import', requireAuth, requireStaff('products:write'), async (req, res, next) => {
+  try {
+    const format = req.query.format ||
+      (req.is('text/csv') && 'csv') ||
+      (req.is('application/x-ndjson', 'application/ndjson') && 'ndjson');
+    if (!format) {
+      return res.status(400).json({
+        error: 'Send the file as text/csv or application/x-ndjson, or pass ?format=',
+        validFormats: IMPORT_FORMATS
+      });
+    }
+
+    const report = await importProducts(req, {
+      format,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Variants and reviews of a product: /api/products/:id/variants, /api/products/:id/reviews
+router.use('/:id/variants', variantRoutes);
+router.use('/:id/reviews', reviewRoutes);
+
+// GET /api/products/:id - Get product details, with its active variants
 router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params;
@@ -487,7 +715,10 @@ router.get('/:id', async (req, res, next) => {
     }
 
     const product = await Product.findByPk(id, {
-      include: [Category]
+      include: [
+        Category,
+        { model: ProductVariant, as: 'variants', where: { isActive: true }, required: false }
+      ]
     });
 
     if (!product) {
@@ -503,8 +734,8 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// POST /api/products - Create product with synchronous blocking operation
-router.post('/', async (req, res, next) => {
+// POST /api/products - Create product with synchronous blocking operation (staff only)
+router.post('/', requireAuth, requireStaff('products:write'), async (req, res, next) => {
   try {
     const { name, description, price, stock, categoryId, imageUrl } = req.body;
 
@@ -535,17 +766,21 @@ router.post('/', async (req, res, next) => {
       categoryId,
       imageUrl,
       specifications: req.body.specifications || {},
-      tags: req.body.tags || []
+      tags: req.body.tags || [],
+      options: req.body.options ? normalizeOptionAxes(req.body.options) : []
     });
 
+    // Keep the search index in sync
+    await indexProduct(product);
+
     res.status(201).json(product);
   } catch (error) {
     next(error);
   }
 });
 
-// PUT /api/products/:id - Update product
-router.put('/:id', async (req, res, next) => {
+// PUT /api/products/:id - Update product (staff only)
+router.put('/:id', requireAuth, requireStaff('products:write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -554,7 +789,18 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
-    await product.update(req.body);
+    const updates = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
+    if (updates.options !== undefined) {
+      updates.options = normalizeOptionAxes(updates.options);
+    }
+
+    await product.update(updates);
+    await indexProduct(product);
 
     // Clear cache
     const redis = await getRedisClient();
@@ -566,8 +812,8 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE /api/products/:id - Delete product
-router.delete('/:id', async (req, res, next) => {
+// DELETE /api/products/:id - Delete product (staff only)
+router.delete('/:id', requireAuth, requireStaff('products:write'), async (req, res, next) => {
   try {
     const { id } = req.params;
     
@@ -577,6 +823,7 @@ router.delete('/:id', async (req, res, next) => {
     }
 
     await product.destroy();
+    removeProduct(id);
 
     // Clear cache
     const redis = await getRedisClient();
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { Order } = require('../models');
+const { RETURN_STATUSES } = require('../services/returnStatus');
+const { getReturn, getOrderReturns, requestReturn, transitionReturn } = require('../services/returnService');
+const idempotency = require('../middleware/idempotency');
+const { requireAuth, assertSelfOrStaff, isStaff } = require('../middleware/auth');
+const { createHttpError } = require('../utils/httpError');
+
+// Mounted at /api/orders/:id/returns
+
+/**
+ * Load the order the return belongs to and check the caller owns it or is staff
+ * Returns null when the order does not exist
+ */
+async function findAccessibleOrder(req) {
+  const order = await Order.findByPk(req.params.id, { attributes: ['id', 'orderNumber', 'userId'] });
+  if (order) {
+    assertSelfOrStaff(req, order.userId);
+  }
+  return order;
+}
+
+// POST /api/orders/:id/returns - Request a return
+// items: [{ orderItemId, quantity }]; only delivered orders within the return window
+router.post('/', requireAuth, idempotency(), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { items, reason } = req.body;
+
+    if (!await findAccessibleOrder(req)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const orderReturn = await requestReturn(id, { items, reason, actor: req.actor });
+    if (!orderReturn) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.status(201).json(orderReturn);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/orders/:id/returns - List returns for an order
+router.get('/', requireAuth, async (req, res, next) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const returns = await getOrderReturns(order.id);
+
+    res.json({
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      returns,
+      count: returns.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/orders/:id/returns/:returnId - Get return details
+router.get('/:returnId', requireAuth, async (req, res, next) => {
+  try {
+    const { id, returnId } = req.params;
+
+    if (!await findAccessibleOrder(req)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const orderReturn = await getReturn(id, returnId);
+    if (!orderReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json(orderReturn);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/orders/:id/returns/:returnId/status - Advance the return workflow
+// received restocks the items; refunded refunds the return through the payment provider
+// Staff run the workflow; customers may only cancel their own returns
+router.put('/:returnId/status', requireAuth, async (req, res, next) => {
+  try {
+    const { id, returnId } = req.params;
+    const { status, notes } = req.body;
+
+    if (!RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        validStatuses: RETURN_STATUSES
+      });
+    }
+
+    if (!await findAccessibleOrder(req)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (status !== 'cancelled' && !isStaff(req.user) && !req.apiKey) {
+      throw createHttpError(403, 'Insufficient permissions');
+    }
+
+    const orderReturn = await transitionReturn(id, returnId, status, { notes, actor: req.actor });
+    if (!orderReturn) {
+      return res.status(404).json({ error: 'Return not found' });
+    }
+
+    res.json({
+      message: 'Return status updated',
+      return: orderReturn
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { Review, Product, User } = require('../models');
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const { REVIEW_STATUSES, moderateReview } = require('../services/reviewService');
+
+// Review moderation; product pages read reviews from /api/products/:id/reviews
+router.use(requireAuth);
+
+// GET /api/reviews - List reviews of every status (?status=pending for the moderation queue)
+router.get('/', requireStaff('reviews:read'), async (req, res, next) => {
+  try {
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'rating'] });
+    const { status } = req.query;
+
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status, expected one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+
+    const where = status ? { status } : {};
+    const [rows, total] = await Promise.all([
+      Review.findAll(paginate({
+        where,
+        include: [
+          { model: Product, attributes: ['id', 'name', 'sku'] },
+          { model: User, attributes: ['id', 'username'] }
+        ]
+      }, pagination)),
+      pagination.includeTotal ? Review.count({ where }) : undefined
+    ]);
+    const { items: reviews, pagination: meta } = paginationResult(rows, pagination, total);
+
+    res.json({
+      reviews,
+      ...(total !== undefined && { total }),
+      pagination: meta
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/reviews/:id/status - Approve, reject or re-queue a review
+// Only approved reviews count towards the product's rating
+router.put('/:id/status', requireStaff('reviews:write'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { status, moderationNote } = req.body;
+
+    const review = await moderateReview(id, { status, moderationNote });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
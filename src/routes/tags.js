@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireStaff } = require('../middleware/auth');
+const { listTags, renameTag, deleteTag } = require('../services/tagService');
+
+// GET /api/tags - List tags with product counts, most used first
+// ?prefix= narrows the list, ?includeInactive=true also counts inactive products
+router.get('/', async (req, res, next) => {
+  try {
+    const tags = await listTags({
+      prefix: req.query.prefix,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    res.json({
+      tags,
+      count: tags.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/tags/:tag - Rename a tag on every product, merging into an existing tag (staff only)
+router.put('/:tag', requireAuth, requireStaff('tags:write'), async (req, res, next) => {
+  try {
+    const { tag } = req.params;
+    const { name } = req.body;
+
+    const productsUpdated = await renameTag(tag, name);
+    if (productsUpdated === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag renamed successfully',
+      productsUpdated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/tags/:tag - Remove a tag from every product (staff only)
+router.delete('/:tag', requireAuth, requireStaff('tags:write'), async (req, res, next) => {
+  try {
+    const { tag } = req.params;
+
+    const productsUpdated = await deleteTag(tag);
+    if (productsUpdated === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    res.json({
+      message: 'Tag deleted successfully',
+      productsUpdated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
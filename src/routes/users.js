@@ -3,9 +3,21 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { User, Order } = require('../models');
 const { getRedisClient } = require('../utils/redis');
-
-// POST /api/users - Create user
-router.post('/', async (req, res, next) => {
+const { parsePagination, paginate, paginationResult } = require('../utils/pagination');
+const { createHttpError } = require('../utils/httpError');
+const idempotency = require('../middleware/idempotency');
+const { requireAuth, requireStaff, assertSelfOrStaff } = require('../middleware/auth');
+const { issueTokens, rotateRefreshToken, revokeRefreshToken } = require('../services/authTokens');
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require('../services/loginLockout');
+const { changePassword, requestPasswordReset, resetPassword } = require('../services/passwordService');
+const { exportUserData, eraseUser } = require('../services/userDataService');
+const addressRoutes = require('./addresses');
+
+// Profile fields users and staff may change through PUT /api/users/:id
+const UPDATABLE_FIELDS = ['firstName', 'lastName', 'phoneNumber', 'address', 'email'];
+
+// POST /api/users - Create user (supports Idempotency-Key)
+router.post('/', idempotency(), async (req, res, next) => {
   try {
     const { username, email, password, firstName, lastName, address, phoneNumber } = req.body;
 
@@ -32,43 +44,59 @@ router.post('/', async (req, res, next) => {
   }
 });
 
-// GET /api/users - List all users (paginated)
-router.get('/', async (req, res, next) => {
+// GET /api/users - List all users (paginated, staff only)
+// Keyset pagination via ?cursor=, legacy offset pagination via ?page=
+router.get('/', requireAuth, requireStaff('users:read'), async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, active } = req.query;
-    const offset = (page - 1) * limit;
+    const { active } = req.query;
+    const pagination = parsePagination(req.query, { sortFields: ['createdAt', 'username'] });
 
     const where = {};
     if (active !== undefined) {
       where.isActive = active === 'true';
     }
 
-    const users = await User.findAndCountAll({
-      where,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      attributes: { exclude: ['password'] },
-      order: [['createdAt', 'DESC']]
-    });
+    const [rows, total] = await Promise.all([
+      User.findAll(paginate({
+        where,
+        attributes: { exclude: ['password'] }
+      }, pagination)),
+      pagination.includeTotal ? User.count({ where }) : undefined
+    ]);
+    const { items: users, pagination: meta } = paginationResult(rows, pagination, total);
 
     res.json({
-      users: users.rows,
-      total: users.count,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        totalPages: Math.ceil(users.count / limit)
-      }
+      users,
+      ...(total !== undefined && { total }),
+      pagination: meta
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/users/:id - Get user details
-router.get('/:id', async (req, res, next) => {
+// GET /api/users/profile - Authenticated user's profile
+router.get('/profile', requireAuth, async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/users/:id - Get user details (self or staff)
+router.get('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
+    assertSelfOrStaff(req, id);
 
     // Check cache first
     const redis = await getRedisClient();
@@ -95,19 +123,34 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// PUT /api/users/:id - Update user
-router.put('/:id', async (req, res, next) => {
+// PUT /api/users/:id - Update user (self or staff; only admins change roles)
+router.put('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const updates = { ...req.body };
+    assertSelfOrStaff(req, id);
+
+    // Passwords change through their own endpoints; other columns are not editable
+    const updates = {};
+    for (const field of UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    }
 
-    // Don't allow password update through this endpoint
-    delete updates.password;
+    if (req.body.role !== undefined) {
+      if (req.user.role !== 'admin') {
+        throw createHttpError(403, 'Only admins can change roles');
+      }
+      updates.role = req.body.role;
+    }
 
     const user = await User.findByPk(id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (user.role === 'admin' && req.user.role !== 'admin') {
+      throw createHttpError(403, 'Only admins can edit admin accounts');
+    }
 
     await user.update(updates);
 
@@ -124,15 +167,19 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE /api/users/:id - Delete user (soft delete)
-router.delete('/:id', async (req, res, next) => {
+// DELETE /api/users/:id - Delete user (soft delete, self or staff)
+router.delete('/:id', requireAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
+    assertSelfOrStaff(req, id);
 
     const user = await User.findByPk(id);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
+    if (user.role === 'admin' && req.user.role !== 'admin') {
+      throw createHttpError(403, 'Only admins can deactivate admin accounts');
+    }
 
     // Soft delete by setting isActive to false
     await user.update({ isActive: false });
@@ -147,19 +194,67 @@ router.delete('/:id', async (req, res, next) => {
   }
 });
 
-// POST /api/users/login - Login endpoint (for testing)
+// GET /api/users/:id/export - Download all personal data (self or staff)
+router.get('/:id/export', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    assertSelfOrStaff(req, id);
+
+    const data = await exportUserData(id);
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.set('Content-Disposition', `attachment; filename="user-${id}-export.json"`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/:id/erase - Anonymize personal data (self or admin)
+// Orders are kept with their totals; their shipping addresses are scrubbed
+router.post('/:id/erase', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.id !== id && req.user.role !== 'admin') {
+      throw createHttpError(403, 'Only admins can erase other users');
+    }
+
+    const user = await eraseUser(id, { actor: req.actor });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'User data erased successfully', erasedAt: user.erasedAt });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// /api/users/:id/addresses - Saved shipping and billing addresses
+router.use('/:id/addresses', addressRoutes);
+
+// POST /api/users/login - Login, returns an access token and a refresh token
+// Too many failed attempts lock the username for a while (423)
 router.post('/login', async (req, res, next) => {
   try {
     const { username, password } = req.body;
 
+    await assertLoginAllowed(username);
+
     const user = await User.findOne({ 
       where: { username } 
     });
 
     if (!user || !await bcrypt.compare(password, user.password)) {
+      await recordLoginFailure(username);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    await clearLoginFailures(username);
+
     if (!user.isActive) {
       return res.status(403).json({ error: 'Account deactivated' });
     }
@@ -167,13 +262,94 @@ router.post('/login', async (req, res, next) => {
     const userResponse = user.toJSON();
     delete userResponse.password;
 
+    const tokens = await issueTokens(user);
+
     res.json({
       message: 'Login successful',
-      user: userResponse
+      user: userResponse,
+      ...tokens
     });
   } catch (error) {
     next(error);
   }
 });
 
+// POST /api/users/refresh - Exchange a refresh token for a new token pair
+// Each refresh token works once; replaying one revokes the whole session
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateRefreshToken(refreshToken, userId => User.findByPk(userId));
+
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/logout - Revoke a refresh token
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/password-reset - Email a password reset token
+// Answers the same whether or not the email is registered
+router.post('/password-reset', async (req, res, next) => {
+  try {
+    await requestPasswordReset(req.body.email);
+
+    res.status(202).json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/password-reset/confirm - Set a new password with a reset token
+router.post('/password-reset/confirm', async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    await resetPassword(token, newPassword);
+
+    res.json({ message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users/:id/password - Change own password (requires the current one)
+// Signs out every session; log in again with the new password
+router.post('/:id/password', requireAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { currentPassword, newPassword } = req.body;
+
+    if (req.user.id !== id) {
+      throw createHttpError(403, 'Users can only change their own password');
+    }
+
+    const user = await changePassword(id, { currentPassword, newPassword });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,238 @@
+/**
+ * Address Service
+ * Saved user addresses and the shipping address an order is placed with
+ *
+ * Addresses are checked against the per-country rules in config/addresses
+ * and stored with an ISO country code. A user has at most one default
+ * shipping and one default billing address; their first address becomes
+ * both. Orders copy the chosen address, so later edits never change them.
+ */
+
+const { sequelize, Address, User } = require('../models');
+const addressConfig = require('../config/addresses');
+const { createHttpError } = require('../utils/httpError');
+const { resolveCountry } = require('./pricing');
+
+// Fields a client may set; userId comes from the route
+const EDITABLE_FIELDS = [
+  'label',
+  'recipientName',
+  'street',
+  'street2',
+  'city',
+  'state',
+  'zip',
+  'country',
+  'phoneNumber',
+  'isDefaultShipping',
+  'isDefaultBilling'
+];
+
+// Fields copied onto Order.shippingAddress
+const SHIPPING_FIELDS = ['recipientName', 'street', 'street2', 'city', 'state', 'zip', 'country', 'phoneNumber'];
+
+function pickEditable(body = {}) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  }
+  return values;
+}
+
+/**
+ * Check an address against its country's rules
+ * Returns the list of { field, message } problems, empty when it is valid
+ */
+function validateAddress(address, config = addressConfig) {
+  const country = resolveCountry(address);
+  const rules = config.countries[country] || {};
+  const errors = [];
+
+  // Stored as an ISO 3166-1 alpha-2 code; names need an alias in the pricing config
+  if (!/^[A-Z]{2}$/.test(country)) {
+    errors.push({ field: 'country', message: `${address.country} is not a two-letter ISO country code` });
+    return errors;
+  }
+
+  for (const field of [...config.requiredFields, ...(rules.requiredFields || [])]) {
+    if (!address[field] || !String(address[field]).trim()) {
+      errors.push({ field, message: `${field} is required for ${country} addresses` });
+    }
+  }
+
+  if (address.zip && rules.zipPattern && !new RegExp(rules.zipPattern, 'i').test(String(address.zip).trim())) {
+    errors.push({ field: 'zip', message: `zip is not a valid ${country} postal code` });
+  }
+
+  return errors;
+}
+
+function assertValidAddress(address) {
+  const errors = validateAddress(address);
+  if (errors.length) {
+    throw createHttpError(400, 'Invalid address', { errors });
+  }
+}
+
+/**
+ * Clear the default flags this address takes over from the user's others
+ */
+async function clearOtherDefaults(address, transaction) {
+  for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+    if (address[flag]) {
+      await Address.update({ [flag]: false }, {
+        where: { userId: address.userId, [flag]: true },
+        transaction
+      });
+    }
+  }
+}
+
+/**
+ * A user's addresses, defaults first
+ */
+async function listAddresses(userId) {
+  return Address.findAll({
+    where: { userId },
+    order: [['isDefaultShipping', 'DESC'], ['isDefaultBilling', 'DESC'], ['createdAt', 'ASC']]
+  });
+}
+
+async function getAddress(userId, id) {
+  return Address.findOne({ where: { id, userId } });
+}
+
+/**
+ * Save a new address for a user
+ * Returns null when the user does not exist; throws 400 when the address
+ * does not meet its country's rules
+ */
+async function createAddress(userId, body) {
+  const values = pickEditable(body);
+  assertValidAddress(values);
+  values.country = resolveCountry(values);
+
+  return sequelize.transaction(async (transaction) => {
+    const user = await User.findByPk(userId, { attributes: ['id'], transaction });
+    if (!user) return null;
+
+    const existing = await Address.count({ where: { userId }, transaction });
+    if (existing === 0) {
+      values.isDefaultShipping = true;
+      values.isDefaultBilling = true;
+    }
+
+    await clearOtherDefaults({ userId, ...values }, transaction);
+    return Address.create({ userId, ...values }, { transaction });
+  });
+}
+
+/**
+ * Update a saved address; the result must still be valid for its country
+ * Returns null when the user has no such address
+ */
+async function updateAddress(userId, id, body) {
+  const values = pickEditable(body);
+
+  return sequelize.transaction(async (transaction) => {
+    const address = await Address.findOne({
+      where: { id, userId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!address) return null;
+
+    const merged = { ...address.get({ plain: true }), ...values };
+    assertValidAddress(merged);
+    if (values.country !== undefined) {
+      values.country = resolveCountry(merged);
+    }
+
+    await clearOtherDefaults({ userId, ...values }, transaction);
+    await address.update(values, { transaction });
+    return address;
+  });
+}
+
+/**
+ * Delete a saved address; orders placed with it keep their copy
+ * Returns false when the user has no such address
+ */
+async function deleteAddress(userId, id) {
+  return (await Address.destroy({ where: { id, userId } })) > 0;
+}
+
+/**
+ * Check an inline shipping address like a saved one
+ * Returns its shipping fields with the ISO country code; throws 400 when it
+ * does not meet its country's rules
+ */
+function normalizeInlineAddress(shippingAddress) {
+  if (typeof shippingAddress !== 'object' || Array.isArray(shippingAddress)) {
+    throw createHttpError(400, 'shippingAddress must be an object');
+  }
+
+  const values = pickEditable(shippingAddress);
+  assertValidAddress(values);
+
+  const copy = {};
+  for (const field of SHIPPING_FIELDS) {
+    if (values[field]) {
+      copy[field] = values[field];
+    }
+  }
+  copy.country = resolveCountry(values);
+  return copy;
+}
+
+/**
+ * The shipping address for an order: an inline shippingAddress, a saved
+ * address by shippingAddressId, or else the user's default shipping address
+ * Returns { shippingAddress, shippingAddressId }, with shippingAddress
+ * undefined when there is nothing to use. Throws 400 when both are given or
+ * the inline address is invalid, and 404 when the saved address is not the
+ * user's.
+ */
+async function resolveShippingAddress({ userId, shippingAddress, shippingAddressId }) {
+  if (shippingAddress && shippingAddressId) {
+    throw createHttpError(400, 'Pass either shippingAddress or shippingAddressId, not both');
+  }
+  if (shippingAddressId && !userId) {
+    throw createHttpError(400, 'userId is required to use shippingAddressId');
+  }
+  if (shippingAddress) {
+    return { shippingAddress: normalizeInlineAddress(shippingAddress), shippingAddressId: null };
+  }
+  if (!userId) {
+    return { shippingAddress, shippingAddressId: null };
+  }
+
+  const address = shippingAddressId ?
+    await getAddress(userId, shippingAddressId) :
+    await Address.findOne({ where: { userId, isDefaultShipping: true } });
+  if (!address) {
+    if (shippingAddressId) {
+      throw createHttpError(404, `Address ${shippingAddressId} not found`);
+    }
+    return { shippingAddress, shippingAddressId: null };
+  }
+
+  const copy = {};
+  for (const field of SHIPPING_FIELDS) {
+    if (address[field]) {
+      copy[field] = address[field];
+    }
+  }
+  return { shippingAddress: copy, shippingAddressId: address.id };
+}
+
+module.exports = {
+  listAddresses,
+  getAddress,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  resolveShippingAddress
+};
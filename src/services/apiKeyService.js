@@ -0,0 +1,153 @@
+/**
+ * API Key Service
+ * Issue, rotate, revoke and check keys for service-to-service clients
+ *
+ * Keys are random strings returned once, when they are issued or rotated;
+ * only their SHA-256 hash is stored. Each key carries scopes of the form
+ * "<resource>:read" or "<resource>:write", where write implies read, and
+ * optionally an expiry. lastUsedAt is refreshed at most once a minute so busy
+ * clients do not turn every request into a write.
+ */
+
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+// Resources a key can be scoped to, named after their /api/<resource> mount
+// (nested routers such as /api/products/:id/reviews use the last resource)
+const API_KEY_RESOURCES = ['products', 'categories', 'tags', 'reviews', 'orders', 'users', 'carts', 'coupons'];
+const API_KEY_ACCESS = ['read', 'write'];
+
+const KEY_PREFIX = 'dak_';
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateKey() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix: key.substring(0, KEY_PREFIX.length + 6), keyHash: hashKey(key) };
+}
+
+function normalizeScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw createHttpError(400, 'scopes must be a non-empty array');
+  }
+
+  const invalid = scopes.filter(scope => {
+    const [resource, access] = String(scope).split(':');
+    return !API_KEY_RESOURCES.includes(resource) || !API_KEY_ACCESS.includes(access);
+  });
+  if (invalid.length) {
+    throw createHttpError(400, 'Invalid API key scopes', {
+      invalid,
+      resources: API_KEY_RESOURCES,
+      access: API_KEY_ACCESS
+    });
+  }
+
+  return [...new Set(scopes)];
+}
+
+function parseExpiry(expiresAt) {
+  if (expiresAt === undefined || expiresAt === null) return null;
+
+  const date = new Date(expiresAt);
+  if (Number.isNaN(date.getTime()) || date <= new Date()) {
+    throw createHttpError(400, 'expiresAt must be a future date');
+  }
+  return date;
+}
+
+/**
+ * Whether a key may read or write a resource
+ */
+function hasScope(apiKey, resource, access) {
+  return apiKey.scopes.includes(`${resource}:${access}`) ||
+    (access === 'read' && apiKey.scopes.includes(`${resource}:write`));
+}
+
+/**
+ * Issue a new key
+ * Returns { apiKey, key }; key is the secret and is not stored
+ */
+async function createApiKey({ name, scopes, expiresAt, createdById } = {}) {
+  if (!name) {
+    throw createHttpError(400, 'name is required');
+  }
+
+  const { key, keyPrefix, keyHash } = generateKey();
+  const apiKey = await ApiKey.create({
+    name,
+    keyPrefix,
+    keyHash,
+    scopes: normalizeScopes(scopes),
+    expiresAt: parseExpiry(expiresAt),
+    createdById
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * Replace a key's secret, keeping its name, scopes and expiry
+ * The old secret stops working immediately. Returns null when the key does
+ * not exist, throws 409 for revoked keys.
+ */
+async function rotateApiKey(id) {
+  const apiKey = await ApiKey.findByPk(id);
+  if (!apiKey) return null;
+
+  if (apiKey.revokedAt) {
+    throw createHttpError(409, 'Cannot rotate a revoked API key');
+  }
+
+  const { key, keyPrefix, keyHash } = generateKey();
+  await apiKey.update({ keyPrefix, keyHash, lastUsedAt: null });
+
+  return { apiKey, key };
+}
+
+/**
+ * Revoke a key; revoking twice keeps the original revokedAt
+ * Returns null when the key does not exist
+ */
+async function revokeApiKey(id) {
+  const apiKey = await ApiKey.findByPk(id);
+  if (!apiKey) return null;
+
+  if (!apiKey.revokedAt) {
+    await apiKey.update({ revokedAt: new Date() });
+  }
+  return apiKey;
+}
+
+/**
+ * Look up the key presented by a client
+ * Throws 401 for unknown, revoked or expired keys
+ */
+async function authenticateApiKey(key) {
+  const apiKey = await ApiKey.findOne({ where: { keyHash: hashKey(key) } });
+  if (!apiKey || apiKey.revokedAt) {
+    throw createHttpError(401, 'Invalid API key');
+  }
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    throw createHttpError(401, 'API key expired');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await apiKey.update({ lastUsedAt: new Date() }, { silent: true });
+  }
+
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_RESOURCES,
+  hasScope,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
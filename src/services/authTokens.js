@@ -0,0 +1,170 @@
+/**
+ * Auth Tokens
+ * Signed access tokens and rotating refresh tokens
+ *
+ * Access tokens are short-lived JWTs checked without any lookup, so a role
+ * change applies from the user's next refresh. Refresh tokens are random
+ * strings; only their SHA-256 hash is kept in Redis ("refresh_token:<hash>"),
+ * so they can be revoked. Each refresh swaps the token for a new one in the
+ * same family. Presenting a token that was already swapped means it leaked,
+ * so the whole family is revoked. Each user's families are also listed
+ * ("refresh_user:<id>") so a password change can end every session.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+
+// Only local development and tests may fall back to the well-known secret
+const JWT_SECRET = process.env.JWT_SECRET ||
+  (['development', 'test'].includes(process.env.NODE_ENV) ? 'dev-jwt-secret' : undefined);
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET must be set unless NODE_ENV is development or test');
+}
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenKey(token) {
+  return `refresh_token:${hashToken(token)}`;
+}
+
+function familyKey(familyId) {
+  return `refresh_family:${familyId}`;
+}
+
+function userFamiliesKey(userId) {
+  return `refresh_user:${userId}`;
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ username: user.username, role: user.role }, JWT_SECRET, {
+    subject: user.id,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  });
+}
+
+async function storeRefreshToken(userId, familyId) {
+  const redis = await getRedisClient();
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+  await redis.hSet(tokenKey(refreshToken), { userId, familyId });
+  await redis.expire(tokenKey(refreshToken), REFRESH_TOKEN_TTL_SECONDS);
+
+  // Track the family's current token so reuse can revoke it
+  await redis.set(familyKey(familyId), hashToken(refreshToken), { EX: REFRESH_TOKEN_TTL_SECONDS });
+
+  await redis.sAdd(userFamiliesKey(userId), familyId);
+  await redis.expire(userFamiliesKey(userId), REFRESH_TOKEN_TTL_SECONDS);
+
+  return refreshToken;
+}
+
+async function revokeFamily(familyId) {
+  const redis = await getRedisClient();
+  const currentHash = await redis.get(familyKey(familyId));
+  if (currentHash) {
+    await redis.del(`refresh_token:${currentHash}`);
+  }
+  await redis.del(familyKey(familyId));
+}
+
+/**
+ * Access and refresh token pair for a user, starting a new token family
+ */
+async function issueTokens(user, familyId = crypto.randomUUID()) {
+  return {
+    token: signAccessToken(user),
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken: await storeRefreshToken(user.id, familyId),
+    refreshExpiresIn: REFRESH_TOKEN_TTL_SECONDS
+  };
+}
+
+/**
+ * Decode and check an access token
+ * Throws 401 when it is missing, malformed, expired or badly signed
+ */
+function verifyAccessToken(token) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return { id: payload.sub, username: payload.username, role: payload.role || 'customer' };
+  } catch (error) {
+    throw createHttpError(401, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+}
+
+/**
+ * Exchange a refresh token for a new pair
+ * loadUser(userId) returns the user or null; inactive or missing users are
+ * refused. Throws 401 for unknown, expired or reused tokens.
+ */
+async function rotateRefreshToken(refreshToken, loadUser) {
+  if (!refreshToken) {
+    throw createHttpError(401, 'Refresh token is required');
+  }
+
+  const redis = await getRedisClient();
+  const key = tokenKey(refreshToken);
+  const record = await redis.hGetAll(key);
+  if (!record || !record.userId) {
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  // Only the first caller gets to rotate; anyone after it is replaying the token
+  const claimed = await redis.hSetNX(key, 'rotatedAt', new Date().toISOString());
+  if (!claimed) {
+    await revokeFamily(record.familyId);
+    throw createHttpError(401, 'Refresh token has already been used');
+  }
+
+  const user = await loadUser(record.userId);
+  if (!user || !user.isActive) {
+    await revokeFamily(record.familyId);
+    throw createHttpError(401, 'Invalid refresh token');
+  }
+
+  return issueTokens(user, record.familyId);
+}
+
+/**
+ * Revoke a refresh token and the rest of its family
+ * Returns false when the token was not known
+ */
+async function revokeRefreshToken(refreshToken) {
+  if (!refreshToken) return false;
+
+  const redis = await getRedisClient();
+  const record = await redis.hGetAll(tokenKey(refreshToken));
+  if (!record || !record.familyId) return false;
+
+  await redis.del(tokenKey(refreshToken));
+  await revokeFamily(record.familyId);
+  return true;
+}
+
+/**
+ * Revoke every refresh token a user holds, signing out all sessions
+ * Access tokens already issued stay valid until they expire
+ */
+async function revokeUserTokens(userId) {
+  const redis = await getRedisClient();
+  const familyIds = await redis.sMembers(userFamiliesKey(userId));
+  for (const familyId of familyIds) {
+    await revokeFamily(familyId);
+  }
+  await redis.del(userFamiliesKey(userId));
+}
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens
+};
@@ -0,0 +1,295 @@
+/**
+ * Cart Service
+ * Shopping carts stored in Redis
+ *
+ * Each cart is a single Redis hash, "cart:<id>", holding metadata fields
+ * ("meta:*") and one "item:<productId>" field per line with its quantity
+ * ("item:<productId>:<variantId>" for variants), so item changes are atomic
+ * hash operations. Every access pushes the
+ * expiry out again, so carts only expire after a period of inactivity.
+ * Prices and stock are never stored; they are read live when a cart is viewed.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Product, ProductVariant } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { createOrder } = require('./orderService');
+
+const CART_TTL_SECONDS = parseInt(process.env.CART_TTL_SECONDS) || 7 * 24 * 60 * 60;
+
+// How long a checkout holds the cart before another attempt may start
+const CHECKOUT_LOCK_SECONDS = 30;
+
+const ITEM_PREFIX = 'item:';
+
+function cartKey(id) {
+  return `cart:${id}`;
+}
+
+function itemField(productId, variantId) {
+  return variantId ? `${ITEM_PREFIX}${productId}:${variantId}` : `${ITEM_PREFIX}${productId}`;
+}
+
+function parseQuantity(quantity, { allowZero = false } = {}) {
+  const parsed = parseInt(quantity);
+  if (!Number.isInteger(parsed) || parsed < (allowZero ? 0 : 1)) {
+    throw createHttpError(400, `Quantity must be a ${allowZero ? 'non-negative' : 'positive'} integer`);
+  }
+  return parsed;
+}
+
+/**
+ * Read the raw cart hash and refresh its expiry
+ * Returns null when the cart does not exist or has expired
+ */
+async function readCart(id) {
+  const redis = await getRedisClient();
+  const fields = await redis.hGetAll(cartKey(id));
+  if (!fields || Object.keys(fields).length === 0) return null;
+
+  await redis.expire(cartKey(id), CART_TTL_SECONDS);
+
+  const items = [];
+  for (const [field, value] of Object.entries(fields)) {
+    if (field.startsWith(ITEM_PREFIX)) {
+      const [productId, variantId = null] = field.substring(ITEM_PREFIX.length).split(':');
+      items.push({ productId, variantId, quantity: parseInt(value) });
+    }
+  }
+
+  return {
+    id,
+    userId: fields['meta:userId'] || null,
+    createdAt: fields['meta:createdAt'],
+    updatedAt: fields['meta:updatedAt'],
+    items
+  };
+}
+
+async function touchCart(id) {
+  const redis = await getRedisClient();
+  await redis.hSet(cartKey(id), 'meta:updatedAt', new Date().toISOString());
+  await redis.expire(cartKey(id), CART_TTL_SECONDS);
+}
+
+/**
+ * Check a product (and variant) can be put in a cart
+ * Products with active variants can only be added by variant
+ */
+async function findSellableProduct(productId, variantId) {
+  const product = await Product.findByPk(productId);
+  if (!product || product.isActive === false) {
+    throw createHttpError(404, `Product ${productId} not found`);
+  }
+
+  if (variantId) {
+    const variant = await ProductVariant.findOne({ where: { id: variantId, productId, isActive: true } });
+    if (!variant) {
+      throw createHttpError(404, `Variant ${variantId} of product ${productId} not found`);
+    }
+  } else if (await ProductVariant.count({ where: { productId, isActive: true } }) > 0) {
+    throw createHttpError(400, `Product ${productId} is sold in variants, pass a variantId`);
+  }
+
+  return product;
+}
+
+/**
+ * Create an empty cart, optionally owned by a user
+ */
+async function createCart({ userId } = {}) {
+  const redis = await getRedisClient();
+  const id = uuidv4();
+  const now = new Date().toISOString();
+
+  await redis.hSet(cartKey(id), {
+    'meta:createdAt': now,
+    'meta:updatedAt': now,
+    ...(userId && { 'meta:userId': userId })
+  });
+  await redis.expire(cartKey(id), CART_TTL_SECONDS);
+
+  return getCart(id);
+}
+
+/**
+ * Cart with live prices, stock and totals
+ */
+async function getCart(id) {
+  const cart = await readCart(id);
+  if (!cart) return null;
+
+  const products = cart.items.length ? await Product.findAll({
+    where: { id: cart.items.map(item => item.productId) },
+    attributes: ['id', 'name', 'price', 'stock', 'imageUrl', 'isActive']
+  }) : [];
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  const variantIds = cart.items.map(item => item.variantId).filter(Boolean);
+  const variants = variantIds.length ? await ProductVariant.findAll({
+    where: { id: variantIds },
+    attributes: ['id', 'sku', 'options', 'price', 'stock', 'imageUrl', 'isActive']
+  }) : [];
+  const variantsById = new Map(variants.map(variant => [variant.id, variant]));
+
+  let subtotal = 0;
+  let itemCount = 0;
+  const items = cart.items.map(item => {
+    const product = productsById.get(item.productId);
+    const variant = item.variantId ? variantsById.get(item.variantId) : null;
+    const purchasable = Boolean(product) && product.isActive !== false &&
+      (!item.variantId || (Boolean(variant) && variant.isActive !== false));
+    const price = purchasable ? parseFloat(variant?.price ?? product.price) : null;
+    const lineSubtotal = purchasable ? price * item.quantity : 0;
+    const stock = (variant || product)?.stock || 0;
+
+    subtotal += lineSubtotal;
+    itemCount += item.quantity;
+
+    return {
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      product: product || null,
+      variant: variant || null,
+      price,
+      subtotal: lineSubtotal,
+      inStock: purchasable && stock >= item.quantity
+    };
+  });
+
+  const redis = await getRedisClient();
+  const ttl = await redis.ttl(cartKey(id));
+
+  return {
+    id: cart.id,
+    userId: cart.userId,
+    items,
+    itemCount,
+    subtotal: Math.round(subtotal * 100) / 100,
+    createdAt: cart.createdAt,
+    updatedAt: cart.updatedAt,
+    expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+  };
+}
+
+/**
+ * Add a quantity of a product (or one of its variants) to the cart
+ */
+async function addItem(id, { productId, variantId, quantity = 1 }) {
+  const amount = parseQuantity(quantity);
+  if (!await readCart(id)) return null;
+
+  await findSellableProduct(productId, variantId);
+
+  const redis = await getRedisClient();
+  await redis.hIncrBy(cartKey(id), itemField(productId, variantId), amount);
+  await touchCart(id);
+
+  return getCart(id);
+}
+
+/**
+ * Set the quantity of a cart line; zero removes it
+ */
+async function updateItem(id, productId, { variantId, quantity }) {
+  const amount = parseQuantity(quantity, { allowZero: true });
+  const cart = await readCart(id);
+  if (!cart) return null;
+
+  if (amount === 0) {
+    return removeItem(id, productId, { variantId });
+  }
+
+  await findSellableProduct(productId, variantId);
+
+  const redis = await getRedisClient();
+  await redis.hSet(cartKey(id), itemField(productId, variantId), amount);
+  await touchCart(id);
+
+  return getCart(id);
+}
+
+/**
+ * Remove a line from the cart
+ */
+async function removeItem(id, productId, { variantId } = {}) {
+  if (!await readCart(id)) return null;
+
+  const redis = await getRedisClient();
+  await redis.hDel(cartKey(id), itemField(productId, variantId));
+  await touchCart(id);
+
+  return getCart(id);
+}
+
+/**
+ * Delete a cart; returns false when it did not exist
+ */
+async function deleteCart(id) {
+  const redis = await getRedisClient();
+  return (await redis.del(cartKey(id))) > 0;
+}
+
+/**
+ * Turn the cart into an order through the regular order creation logic
+ * The cart is deleted once the order exists. A lock stops a double-submitted
+ * checkout from creating two orders.
+ */
+async function checkoutCart(id, {
+  userId,
+  shippingAddress,
+  shippingAddressId,
+  paymentMethod,
+  notes,
+  couponCodes,
+  actor
+} = {}) {
+  const cart = await readCart(id);
+  if (!cart) return null;
+
+  const orderUserId = cart.userId || userId;
+  if (!orderUserId) {
+    throw createHttpError(400, 'userId is required to check out an anonymous cart');
+  }
+  if (cart.items.length === 0) {
+    throw createHttpError(400, 'Cart is empty');
+  }
+
+  const redis = await getRedisClient();
+  const lockKey = `${cartKey(id)}:checkout`;
+  const locked = await redis.set(lockKey, '1', { NX: true, EX: CHECKOUT_LOCK_SECONDS });
+  if (!locked) {
+    throw createHttpError(409, 'Checkout already in progress for this cart');
+  }
+
+  try {
+    const order = await createOrder({
+      userId: orderUserId,
+      items: cart.items,
+      shippingAddress,
+      shippingAddressId,
+      paymentMethod,
+      notes,
+      couponCodes,
+      actor
+    });
+
+    await deleteCart(id);
+    return order;
+  } finally {
+    await redis.del(lockKey);
+  }
+}
+
+module.exports = {
+  readCart,
+  createCart,
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+  deleteCart,
+  checkoutCart
+};
@@ -0,0 +1,250 @@
+/**
+ * Category Service
+ * The category tree: lookups by subtree, breadcrumbs, and edits that keep
+ * the materialized paths consistent
+ *
+ * Every category stores the ids from the root down to itself in path, so a
+ * subtree is one prefix query and breadcrumbs need no recursion. Moving a
+ * category rewrites the paths of its whole subtree in one transaction and is
+ * refused when the new parent lies inside that subtree. Deleting a category
+ * hands its children and products to its parent.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Category, Product, Coupon } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+const { reindexCategory } = require('./productSearchIndex');
+
+// Fields a client may set directly; parentId changes go through moveCategory
+const EDITABLE_FIELDS = ['name', 'description'];
+
+function pickEditable(body = {}) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  }
+  return values;
+}
+
+/**
+ * Ids from the root down to the category, itself included
+ */
+function pathIds(category) {
+  return category.path.split('/').filter(Boolean);
+}
+
+/**
+ * Nest a flat list of categories under their parents
+ * Returns the roots; each node gets a children array, sorted by name
+ */
+function buildTree(categories) {
+  const nodes = new Map(categories.map(category => [category.id, { ...category.toJSON(), children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  for (const node of nodes.values()) {
+    node.children.sort(byName);
+  }
+  return roots.sort(byName);
+}
+
+/**
+ * The whole category tree
+ */
+async function getCategoryTree() {
+  const categories = await Category.findAll({ order: [['depth', 'ASC'], ['name', 'ASC']] });
+  return buildTree(categories);
+}
+
+/**
+ * A category with its breadcrumbs (root first, itself last) and direct children
+ * Returns null when the category does not exist
+ */
+async function getCategory(id) {
+  const category = await Category.findByPk(id, {
+    include: [{ model: Category, as: 'children' }],
+    order: [[{ model: Category, as: 'children' }, 'name', 'ASC']]
+  });
+  if (!category) return null;
+
+  const ancestors = await Category.findAll({
+    where: { id: pathIds(category) },
+    attributes: ['id', 'name', 'depth']
+  });
+  const breadcrumbs = ancestors
+    .sort((a, b) => a.depth - b.depth)
+    .map(({ id, name }) => ({ id, name }));
+
+  return { ...category.toJSON(), breadcrumbs };
+}
+
+/**
+ * Ids of a category and, with includeDescendants, everything below it
+ * Returns null when the category does not exist
+ */
+async function getCategoryIds(id, { includeDescendants = false } = {}) {
+  const category = await Category.findByPk(id, { attributes: ['id', 'path'] });
+  if (!category) return null;
+  if (!includeDescendants) return [category.id];
+
+  const subtree = await Category.findAll({
+    where: { path: { [Op.startsWith]: category.path } },
+    attributes: ['id']
+  });
+  return subtree.map(node => node.id);
+}
+
+async function findParent(parentId, transaction) {
+  if (!parentId) return null;
+
+  const parent = await Category.findByPk(parentId, {
+    lock: transaction && transaction.LOCK.UPDATE,
+    transaction
+  });
+  if (!parent) {
+    throw createHttpError(404, `Parent category ${parentId} not found`);
+  }
+  return parent;
+}
+
+/**
+ * Re-home a category and its subtree under parent (null for the root level)
+ */
+async function moveSubtree(category, parent, transaction) {
+  const oldPath = category.path;
+  const newPath = `${parent ? parent.path : '/'}${category.id}/`;
+  const depthChange = (parent ? parent.depth + 1 : 0) - category.depth;
+
+  const subtree = await Category.findAll({
+    where: { path: { [Op.startsWith]: oldPath } },
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  for (const node of subtree) {
+    await node.update({
+      path: newPath + node.path.substring(oldPath.length),
+      depth: node.depth + depthChange,
+      ...(node.id === category.id && { parentId: parent ? parent.id : null })
+    }, { transaction });
+  }
+}
+
+/**
+ * Create a category, at the root level unless parentId is given
+ * Throws 404 when the parent does not exist
+ */
+async function createCategory(body = {}) {
+  const values = pickEditable(body);
+  if (!values.name) {
+    throw createHttpError(400, 'name is required');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const parent = await findParent(body.parentId, transaction);
+    return Category.create({ ...values, parentId: parent ? parent.id : null }, { transaction });
+  });
+}
+
+/**
+ * Rename or describe a category
+ * Returns null when the category does not exist
+ */
+async function updateCategory(id, body) {
+  const category = await Category.findByPk(id);
+  if (!category) return null;
+
+  const values = pickEditable(body);
+  const renamed = values.name !== undefined && values.name !== category.name;
+  await category.update(values);
+
+  // Search documents carry the category name
+  if (renamed) {
+    await reindexCategory(category.id);
+  }
+  return category;
+}
+
+/**
+ * Move a category, with everything below it, under another parent
+ * parentId null moves it to the root level. Returns null when the category
+ * does not exist, throws 404 for an unknown parent and 400 when the move
+ * would make the category its own ancestor.
+ */
+async function moveCategory(id, parentId) {
+  return sequelize.transaction(async (transaction) => {
+    const category = await Category.findByPk(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!category) return null;
+
+    const parent = await findParent(parentId, transaction);
+    if (parent && parent.path.startsWith(category.path)) {
+      throw createHttpError(400, 'A category cannot be moved under itself or one of its descendants');
+    }
+
+    if ((parent ? parent.id : null) !== category.parentId) {
+      await moveSubtree(category, parent, transaction);
+      // moveSubtree updated its own copy of the row
+      await category.reload({ transaction });
+    }
+    return category;
+  });
+}
+
+/**
+ * Delete a category; its children and products move up to its parent
+ * (products of a deleted root category are left uncategorized)
+ * Returns null when the category does not exist, throws 409 while coupons
+ * are scoped to it.
+ */
+async function deleteCategory(id) {
+  const result = await sequelize.transaction(async (transaction) => {
+    const category = await Category.findByPk(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!category) return null;
+
+    const coupons = await Coupon.count({ where: { categoryId: id }, transaction });
+    if (coupons > 0) {
+      throw createHttpError(409, 'Category is used by coupons, remove or rescope them first', { coupons });
+    }
+
+    const parent = await findParent(category.parentId, transaction);
+    const children = await Category.findAll({ where: { parentId: id }, transaction });
+    for (const child of children) {
+      await moveSubtree(child, parent, transaction);
+    }
+
+    const [productsMoved] = await Product.update(
+      { categoryId: parent ? parent.id : null },
+      { where: { categoryId: id }, transaction }
+    );
+
+    await category.destroy({ transaction });
+    return { category, childrenMoved: children.length, productsMoved };
+  });
+
+  if (result) {
+    await reindexCategory(id);
+  }
+  return result;
+}
+
+module.exports = {
+  getCategoryTree,
+  getCategory,
+  getCategoryIds,
+  createCategory,
+  updateCategory,
+  moveCategory,
+  deleteCategory
+};
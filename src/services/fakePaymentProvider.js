@@ -0,0 +1,141 @@
+/**
+ * Fake Payment Provider
+ * Local stand-in for a card processor, used in development and load tests
+ *
+ * Every call waits latencyMs and authorizations are declined at random with
+ * probability declineRate (or always, for paymentMethod "test_decline").
+ * When webhookUrl is set, each call is also reported as a signed webhook,
+ * the same way a real processor confirms transactions asynchronously.
+ * Webhooks, sent or received, need webhookSecret; there is no default, so an
+ * unconfigured deployment cannot be sent forged events.
+ */
+
+const crypto = require('crypto');
+const { createHttpError } = require('../utils/httpError');
+
+const SIGNATURE_HEADER = 'x-fake-payment-signature';
+
+const DECLINE_REASONS = ['card_declined', 'insufficient_funds', 'expired_card'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function generateReference(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function sign(payload, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+}
+
+function createFakePaymentProvider({
+  latencyMs = 0,
+  declineRate = 0,
+  webhookUrl,
+  webhookSecret
+} = {}) {
+  if (webhookUrl && !webhookSecret) {
+    throw new Error('A webhook secret is required when a webhook URL is set');
+  }
+
+  function sendWebhook(type, data) {
+    if (!webhookUrl) return;
+
+    const payload = JSON.stringify({
+      id: generateReference('evt'),
+      type,
+      data,
+      createdAt: new Date().toISOString()
+    });
+
+    // Delivered in the background; a real processor retries, the fake just logs
+    fetch(webhookUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: sign(payload, webhookSecret)
+      },
+      body: payload
+    }).catch(error => console.error('Fake payment webhook delivery failed:', error.message));
+  }
+
+  async function respond(eventType, result) {
+    if (latencyMs > 0) {
+      await sleep(latencyMs);
+    }
+    sendWebhook(eventType, result);
+    return result;
+  }
+
+  return {
+    name: 'fake',
+
+    async authorize({ amount, currency, paymentMethod }) {
+      const declined = paymentMethod === 'test_decline' || Math.random() < declineRate;
+      const reference = generateReference('auth');
+
+      if (declined) {
+        return respond('payment.failed', {
+          success: false,
+          reference,
+          amount,
+          currency,
+          failureReason: DECLINE_REASONS[Math.floor(Math.random() * DECLINE_REASONS.length)]
+        });
+      }
+      return respond('payment.authorized', { success: true, reference, amount, currency });
+    },
+
+    async capture({ amount, currency }) {
+      return respond('payment.captured', { success: true, reference: generateReference('cap'), amount, currency });
+    },
+
+    async void({ amount, currency }) {
+      return respond('payment.voided', { success: true, reference: generateReference('void'), amount, currency });
+    },
+
+    async refund({ amount, currency }) {
+      return respond('payment.refunded', { success: true, reference: generateReference('ref'), amount, currency });
+    },
+
+    /**
+     * Check the signature of an incoming webhook
+     * Returns the parsed event, or null when the signature does not match;
+     * throws 400 for an empty or non-JSON body
+     */
+    parseWebhook(rawBody, headers) {
+      if (!webhookSecret) {
+        throw createHttpError(503, 'Webhooks are not configured for this provider');
+      }
+      // express.raw leaves {} in place of a missing body
+      if (!Buffer.isBuffer(rawBody) || rawBody.length === 0) {
+        throw createHttpError(400, 'Webhook body is empty');
+      }
+
+      const signature = headers[SIGNATURE_HEADER];
+      if (!signature) return null;
+      // Compare bytes: a multibyte header can match the hex string's length
+      const actual = Buffer.from(String(signature));
+      const expected = Buffer.from(sign(rawBody, webhookSecret));
+      if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody.toString('utf8'));
+      } catch (error) {
+        throw createHttpError(400, 'Webhook body is not valid JSON');
+      }
+      if (!event || typeof event !== 'object') {
+        throw createHttpError(400, 'Webhook body must be a JSON object');
+      }
+      return event;
+    }
+  };
+}
+
+module.exports = {
+  createFakePaymentProvider
+};
@@ -0,0 +1,68 @@
+/**
+ * Login Lockout
+ * Brute-force protection for password logins
+ *
+ * Failed attempts are counted per username in Redis ("login_failures:<name>")
+ * over a sliding window. Reaching MAX_LOGIN_ATTEMPTS locks the username for
+ * LOGIN_LOCKOUT_SECONDS ("login_lock:<name>"), even for the right password.
+ * Unknown usernames are counted too, so a lock never reveals whether an
+ * account exists.
+ */
+
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOGIN_FAILURE_WINDOW_SECONDS = parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 15 * 60;
+const LOGIN_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+
+function failuresKey(username) {
+  return `login_failures:${username}`;
+}
+
+function lockKey(username) {
+  return `login_lock:${username}`;
+}
+
+/**
+ * Throw 423 while the username is locked
+ */
+async function assertLoginAllowed(username) {
+  const redis = await getRedisClient();
+  const retryAfter = await redis.ttl(lockKey(username));
+  if (retryAfter > 0) {
+    throw createHttpError(423, 'Account temporarily locked after too many failed logins', { retryAfter });
+  }
+}
+
+/**
+ * Count a failed login, locking the username once the limit is reached
+ * Returns true when this failure caused the lock
+ */
+async function recordLoginFailure(username) {
+  const redis = await getRedisClient();
+  const failures = await redis.incr(failuresKey(username));
+  if (failures === 1) {
+    await redis.expire(failuresKey(username), LOGIN_FAILURE_WINDOW_SECONDS);
+  }
+
+  if (failures < MAX_LOGIN_ATTEMPTS) return false;
+
+  await redis.set(lockKey(username), new Date().toISOString(), { EX: LOGIN_LOCKOUT_SECONDS });
+  await redis.del(failuresKey(username));
+  return true;
+}
+
+/**
+ * Forget failures and any lock, after a successful login or password reset
+ */
+async function clearLoginFailures(username) {
+  const redis = await getRedisClient();
+  await redis.del([failuresKey(username), lockKey(username)]);
+}
+
+module.exports = {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
@@ -0,0 +1,99 @@
+/**
+ * Mailer
+ * Outgoing email behind swappable transports
+ *
+ * A transport is an object with a name and an async send(message) method,
+ * where message is { to, subject, text }. MAIL_TRANSPORT picks the active
+ * one. The built-in transports are for local use: "console" prints each
+ * message and "file" appends it to MAIL_FILE_PATH. A real provider is added
+ * with registerMailTransport. Mail carries live reset tokens, so console is
+ * only the default in development and tests; elsewhere MAIL_TRANSPORT must
+ * be set or the app refuses to start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHttpError } = require('../utils/httpError');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@demo-api.local';
+
+const DEFAULT_TRANSPORT = process.env.MAIL_TRANSPORT ||
+  (['development', 'test'].includes(process.env.NODE_ENV) ? 'console' : undefined);
+if (!DEFAULT_TRANSPORT) {
+  throw new Error('MAIL_TRANSPORT must be set unless NODE_ENV is development or test');
+}
+
+function formatMessage(message) {
+  return [
+    `Date: ${new Date().toISOString()}`,
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    '',
+    message.text,
+    ''
+  ].join('\n');
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`--- Outgoing mail ---\n${formatMessage(message)}`);
+    }
+  };
+}
+
+function createFileTransport({ filePath }) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${formatMessage(message)}\n`);
+    }
+  };
+}
+
+// A Map, not an object, so names like constructor are not transports
+const factories = new Map([
+  ['console', () => createConsoleTransport()],
+  ['file', () => createFileTransport({
+    filePath: process.env.MAIL_FILE_PATH || path.join(__dirname, '../../logs/mail.log')
+  })]
+]);
+
+const transports = new Map();
+
+/**
+ * Make a transport available under a name
+ */
+function registerMailTransport(name, factory) {
+  factories.set(name, factory);
+  transports.delete(name);
+}
+
+/**
+ * Transport instance by name, defaulting to MAIL_TRANSPORT
+ */
+function getMailTransport(name = DEFAULT_TRANSPORT) {
+  if (!factories.has(name)) {
+    throw createHttpError(500, `Unknown mail transport ${name}`);
+  }
+  if (!transports.has(name)) {
+    transports.set(name, factories.get(name)());
+  }
+  return transports.get(name);
+}
+
+/**
+ * Send a message through the active transport
+ */
+async function sendMail({ to, subject, text }) {
+  await getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
@@ -0,0 +1,51 @@
+/**
+ * Order Events
+ * Audit trail helpers; events are written with the caller's transaction so
+ * they commit or roll back together with the change they describe.
+ */
+
+const { OrderEvent } = require('../models');
+
+/**
+ * Field-level diff between two plain snapshots
+ * Returns { field: { before, after } } for every field that changed
+ */
+function diffValues(before, after) {
+  const changes = {};
+  for (const field of Object.keys(after)) {
+    const previous = before[field] === undefined ? null : before[field];
+    const next = after[field] === undefined ? null : after[field];
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = { before: previous, after: next };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record an audit event for an order
+ */
+async function recordOrderEvent(orderId, eventType, { actor = 'system', changes = {} } = {}, transaction) {
+  return OrderEvent.create({
+    orderId,
+    eventType,
+    actor,
+    changes
+  }, { transaction });
+}
+
+/**
+ * Audit trail for an order, oldest first
+ */
+async function getOrderEvents(orderId) {
+  return OrderEvent.findAll({
+    where: { orderId },
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+module.exports = {
+  diffValues,
+  recordOrderEvent,
+  getOrderEvents
+};
@@ -0,0 +1,452 @@
+/**
+ * Order Service
+ * Order creation and status changes with stock reservation
+ *
+ * Creating an order locks the ordered product rows, checks and decrements
+ * stock (the variant's, for products sold in variants), and writes the
+ * Order with its OrderItems in one transaction, so a failure part-way
+ * leaves nothing behind. Status changes follow the state machine in
+ * orderStatus, and cancelling puts the stock back. Totals come from the
+ * pricing pipeline; coupons are validated and redeemed in the same
+ * transaction, and every change is recorded as an OrderEvent alongside it.
+ * Payment calls happen outside those transactions so provider latency never
+ * holds row locks: authorize after create, capture before ship, void after
+ * cancel.
+ */
+
+const { sequelize, Order, OrderItem, User, Product, ProductVariant } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+const { STATUS_TIMESTAMPS, getAllowedTransitions, canTransition } = require('./orderStatus');
+const { diffValues, recordOrderEvent } = require('./orderEvents');
+const { roundMoney, redeemCoupons, releaseCoupons } = require('./promotions');
+const { parseWeightKg, priceOrder } = require('./pricing');
+const { authorizePayment, capturePayment, voidPayment } = require('./paymentService');
+const { resolveShippingAddress } = require('./addressService');
+const { reindexProducts } = require('./productSearchIndex');
+
+function generateOrderNumber() {
+  return `ORD-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+}
+
+function lineKey(productId, variantId) {
+  return variantId ? `${productId}:${variantId}` : productId;
+}
+
+/**
+ * Validate requested items and merge repeats of the same product and variant
+ * Returns Map(line key -> { productId, variantId, quantity })
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Order must contain at least one item');
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = parseInt(item?.quantity);
+    if (!item?.productId || !Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, 'Each item needs a productId and a positive integer quantity');
+    }
+    const key = lineKey(item.productId, item.variantId);
+    const existing = quantities.get(key);
+    quantities.set(key, {
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: (existing?.quantity || 0) + quantity
+    });
+  }
+
+  return quantities;
+}
+
+/**
+ * Load the products and variants the requested items refer to
+ * Products with active variants must be ordered by variant. Pass lock: true
+ * inside the order transaction; the product row locks then also serialize
+ * orders for their variants. Returns [{ key, productId, variantId, quantity,
+ * product, variant }], throwing 404 for unknown products or variants and
+ * 400 for a missing variantId.
+ */
+async function loadItems(quantities, { transaction, lock = false } = {}) {
+  const productIds = [...new Set([...quantities.values()].map(item => item.productId))];
+
+  // Lock in a stable order so concurrent checkouts cannot deadlock
+  const products = await Product.findAll({
+    where: { id: productIds },
+    order: [['id', 'ASC']],
+    ...(lock && { lock: transaction.LOCK.UPDATE }),
+    transaction
+  });
+  const productsById = new Map(products.map(product => [product.id, product]));
+
+  const variants = await ProductVariant.findAll({
+    where: { productId: productIds, isActive: true },
+    transaction
+  });
+  const variantsById = new Map(variants.map(variant => [variant.id, variant]));
+  const productsWithVariants = new Set(variants.map(variant => variant.productId));
+
+  return [...quantities].map(([key, { productId, variantId, quantity }]) => {
+    const product = productsById.get(productId);
+    if (!product) {
+      throw createHttpError(404, `Product ${productId} not found`);
+    }
+
+    const variant = variantId ? variantsById.get(variantId) : null;
+    if (variantId && (!variant || variant.productId !== productId)) {
+      throw createHttpError(404, `Variant ${variantId} of product ${productId} not found`);
+    }
+    if (!variantId && productsWithVariants.has(productId)) {
+      throw createHttpError(400, `Product ${productId} is sold in variants, pass a variantId`);
+    }
+
+    return { key, productId, variantId, quantity, product, variant };
+  });
+}
+
+// Variants carry their own stock and, optionally, their own price
+function availableStock(item) {
+  return (item.variant || item.product).stock || 0;
+}
+
+function unitPrice(item) {
+  return parseFloat(item.variant?.price ?? item.product.price);
+}
+
+/**
+ * Pricing lines for the loaded items
+ */
+function buildLines(items) {
+  return items.map(item => {
+    const price = unitPrice(item);
+    return {
+      key: item.key,
+      productId: item.productId,
+      variantId: item.variantId,
+      categoryId: item.product.categoryId,
+      price,
+      quantity: item.quantity,
+      subtotal: roundMoney(price * item.quantity),
+      weight: parseWeightKg(item.product.specifications?.weight)
+    };
+  });
+}
+
+/**
+ * Create an order, reserving stock for every item, applying coupons and
+ * authorizing payment for the total
+ * Ships to shippingAddress, the saved address shippingAddressId, or the
+ * user's default shipping address.
+ * Throws 404 for unknown user/products/coupons/addresses, 400 for coupons the
+ * order does not qualify for, 409 when stock is insufficient, 402 when the
+ * payment is declined and 502 when the provider fails (the order is then
+ * cancelled)
+ */
+async function createOrder({
+  userId,
+  items,
+  shippingAddress: inlineAddress,
+  shippingAddressId: savedAddressId,
+  paymentMethod,
+  notes,
+  couponCodes = [],
+  actor = `user:${userId}`
+}) {
+  const quantities = normalizeItems(items);
+
+  // Validate user exists
+  const user = await User.findByPk(userId);
+  if (!user) {
+    throw createHttpError(404, 'User not found');
+  }
+
+  const { shippingAddress, shippingAddressId } = await resolveShippingAddress({
+    userId,
+    shippingAddress: inlineAddress,
+    shippingAddressId: savedAddressId
+  });
+
+  const order = await sequelize.transaction(async (transaction) => {
+    const loaded = await loadItems(quantities, { transaction, lock: true });
+    const itemsByKey = new Map(loaded.map(item => [item.key, item]));
+
+    const shortItems = [];
+    for (const item of loaded) {
+      if (availableStock(item) < item.quantity) {
+        shortItems.push({
+          productId: item.productId,
+          ...(item.variantId && { variantId: item.variantId }),
+          name: item.product.name,
+          requested: item.quantity,
+          available: availableStock(item)
+        });
+      }
+    }
+    if (shortItems.length) {
+      throw createHttpError(409, 'Insufficient stock', { items: shortItems });
+    }
+
+    const pricing = await priceOrder({
+      lines: buildLines(loaded),
+      shippingAddress,
+      couponCodes,
+      userId,
+      transaction,
+      lockCoupons: true
+    });
+
+    // Reserve stock
+    const orderItems = [];
+    for (const line of pricing.lines) {
+      orderItems.push({
+        productId: line.productId,
+        variantId: line.variantId,
+        quantity: line.quantity,
+        price: line.price,
+        subtotal: line.subtotal,
+        discountAmount: line.discountAmount
+      });
+
+      const item = itemsByKey.get(line.key);
+      await (item.variant || item.product).decrement('stock', { by: line.quantity, transaction });
+    }
+
+    const order = await Order.create({
+      orderNumber: generateOrderNumber(),
+      userId,
+      status: 'pending',
+      subtotal: pricing.subtotal,
+      discountAmount: pricing.discountAmount,
+      shippingAmount: pricing.shippingAmount,
+      taxAmount: pricing.taxAmount,
+      totalAmount: pricing.totalAmount,
+      couponCodes: pricing.promotion.applied.map(coupon => coupon.code),
+      shippingAddress,
+      shippingAddressId,
+      paymentMethod,
+      notes
+    }, { transaction });
+
+    await OrderItem.bulkCreate(
+      orderItems.map(item => ({ orderId: order.id, ...item })),
+      { transaction }
+    );
+
+    await redeemCoupons(pricing.promotion, { userId, orderId: order.id, transaction });
+
+    await recordOrderEvent(order.id, 'created', {
+      actor,
+      changes: diffValues({}, {
+        status: order.status,
+        subtotal: order.subtotal,
+        discountAmount: order.discountAmount,
+        shippingAmount: order.shippingAmount,
+        taxAmount: order.taxAmount,
+        totalAmount: order.totalAmount,
+        couponCodes: order.couponCodes,
+        items: orderItems.map(({ productId, variantId, quantity }) => ({
+          productId,
+          ...(variantId && { variantId }),
+          quantity
+        }))
+      })
+    }, transaction);
+
+    return order;
+  });
+  await reindexProducts([...quantities.values()].map(({ productId }) => productId));
+
+  // A provider error leaves nothing authorized, so it is handled like a
+  // decline: cancelling releases the stock and coupons the order reserved
+  let authorization;
+  try {
+    authorization = await authorizePayment(order, { actor });
+  } catch (error) {
+    console.error(`Payment authorization for order ${order.id} failed:`, error.message);
+    await transitionOrder(order.id, 'cancelled', { actor: 'system' });
+    throw createHttpError(502, 'Payment provider unavailable, the order was cancelled', { orderId: order.id });
+  }
+  if (authorization.status === 'failed') {
+    await transitionOrder(order.id, 'cancelled', { actor: 'system' });
+    throw createHttpError(402, 'Payment was declined', {
+      orderId: order.id,
+      reason: authorization.failureReason
+    });
+  }
+
+  return order;
+}
+
+/**
+ * Price a prospective order without creating it or reserving stock
+ * Throws the same 400/404 errors as createOrder for bad items, coupons and
+ * addresses
+ */
+async function quoteOrder({ userId, items, shippingAddress: inlineAddress, shippingAddressId, couponCodes = [] }) {
+  const quantities = normalizeItems(items);
+  const { shippingAddress } = await resolveShippingAddress({
+    userId,
+    shippingAddress: inlineAddress,
+    shippingAddressId
+  });
+
+  const loaded = await loadItems(quantities);
+  const itemsByKey = new Map(loaded.map(item => [item.key, item]));
+
+  const pricing = await priceOrder({
+    lines: buildLines(loaded),
+    shippingAddress,
+    couponCodes,
+    userId
+  });
+
+  return {
+    items: pricing.lines.map(line => {
+      const item = itemsByKey.get(line.key);
+      return {
+        productId: line.productId,
+        ...(line.variantId && { variantId: line.variantId, options: item.variant.options }),
+        name: item.product.name,
+        price: line.price,
+        quantity: line.quantity,
+        subtotal: line.subtotal,
+        discountAmount: line.discountAmount,
+        inStock: availableStock(item) >= line.quantity
+      };
+    }),
+    subtotal: pricing.subtotal,
+    discountAmount: pricing.discountAmount,
+    shippingAmount: pricing.shippingAmount,
+    taxAmount: pricing.taxAmount,
+    totalAmount: pricing.totalAmount,
+    currency: pricing.config.currency,
+    coupons: pricing.promotion.applied,
+    shipping: pricing.shipping,
+    tax: pricing.tax
+  };
+}
+
+/**
+ * Load an order with its user and items, as returned after creation
+ */
+async function getOrderDetails(id) {
+  return Order.findByPk(id, {
+    include: [
+      { model: User, attributes: ['id', 'username', 'email'] },
+      {
+        model: OrderItem,
+        include: [
+          { model: Product, attributes: ['id', 'name', 'price'] },
+          { model: ProductVariant, as: 'variant', attributes: ['id', 'sku', 'options'] }
+        ]
+      }
+    ]
+  });
+}
+
+/**
+ * Return the stock reserved by an order's items
+ * Returns the ids of the restocked products
+ */
+async function restoreStock(order, transaction) {
+  const items = await OrderItem.findAll({
+    where: { orderId: order.id },
+    order: [['productId', 'ASC']],
+    transaction
+  });
+
+  for (const item of items) {
+    const model = item.variantId ? ProductVariant : Product;
+    await model.increment('stock', {
+      by: item.quantity,
+      where: { id: item.variantId || item.productId },
+      transaction
+    });
+  }
+  return items.map(item => item.productId);
+}
+
+function assertTransition(order, status) {
+  if (!canTransition(order.status, status)) {
+    throw createHttpError(409, `Cannot change order status from ${order.status} to ${status}`, {
+      currentStatus: order.status,
+      allowedTransitions: getAllowedTransitions(order.status)
+    });
+  }
+}
+
+/**
+ * Move an order to a new status
+ * Shipping captures the payment first and cancelling voids it afterwards.
+ * Returns null when the order does not exist, throws 409 for transitions
+ * the state machine does not allow and 402 when the capture fails
+ */
+async function transitionOrder(id, status, { actor = 'system' } = {}) {
+  if (status === 'shipped') {
+    const current = await Order.findByPk(id);
+    if (!current) return null;
+
+    assertTransition(current, status);
+    await capturePayment(current, { actor });
+  }
+
+  let restockedIds = [];
+  const order = await sequelize.transaction(async (transaction) => {
+    const order = await Order.findByPk(id, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!order) return null;
+
+    assertTransition(order, status);
+
+    if (status === 'cancelled') {
+      restockedIds = await restoreStock(order, transaction);
+      await releaseCoupons(order.id, { transaction });
+    }
+
+    const updates = { status };
+    if (STATUS_TIMESTAMPS[status]) {
+      updates[STATUS_TIMESTAMPS[status]] = new Date();
+    }
+    const before = {};
+    for (const field of Object.keys(updates)) {
+      before[field] = order.get(field);
+    }
+    await order.update(updates, { transaction });
+
+    await recordOrderEvent(order.id, status === 'cancelled' ? 'cancelled' : 'status_changed', {
+      actor,
+      changes: diffValues(before, updates)
+    }, transaction);
+
+    return order;
+  });
+
+  if (order && status === 'cancelled') {
+    await reindexProducts(restockedIds);
+    await voidPayment(order, { actor });
+  }
+
+  return order;
+}
+
+/**
+ * Cancel an order and return its reserved stock
+ * Cancelling an already cancelled order is a no-op
+ */
+async function cancelOrder(id, { actor = 'system' } = {}) {
+  const order = await Order.findByPk(id);
+  if (!order) return null;
+  if (order.status === 'cancelled') return order;
+
+  return transitionOrder(id, 'cancelled', { actor });
+}
+
+module.exports = {
+  createOrder,
+  quoteOrder,
+  getOrderDetails,
+  transitionOrder,
+  cancelOrder
+};
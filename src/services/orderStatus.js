@@ -0,0 +1,36 @@
+/**
+ * Order Status State Machine
+ * pending -> processing -> shipped -> delivered
+ * Orders can be cancelled until they ship; delivered and cancelled are final.
+ */
+
+const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+// Order columns stamped when an order enters a status
+const STATUS_TIMESTAMPS = {
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt'
+};
+
+function getAllowedTransitions(status) {
+  return ORDER_TRANSITIONS[status] || [];
+}
+
+function canTransition(from, to) {
+  return getAllowedTransitions(from).includes(to);
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TIMESTAMPS,
+  getAllowedTransitions,
+  canTransition
+};
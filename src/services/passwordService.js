@@ -0,0 +1,141 @@
+/**
+ * Password Service
+ * Password changes and email-based password resets
+ *
+ * A reset request mails the user a random single-use token. Only its SHA-256
+ * hash is kept in Redis ("password_reset:<hash>") and it expires after
+ * PASSWORD_RESET_TTL_SECONDS; requesting a new one invalidates the previous
+ * one. Setting a new password either way signs out every session.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { User } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { revokeUserTokens } = require('./authTokens');
+const { clearLoginFailures } = require('./loginLockout');
+const { sendMail } = require('./mailer');
+
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_RESET_TTL_SECONDS = parseInt(process.env.PASSWORD_RESET_TTL_SECONDS) || 60 * 60;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function resetKey(tokenHash) {
+  return `password_reset:${tokenHash}`;
+}
+
+function userResetKey(userId) {
+  return `password_reset_user:${userId}`;
+}
+
+function assertValidPassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw createHttpError(400, `Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+  }
+}
+
+async function setPassword(user, password) {
+  await user.update({ password: await bcrypt.hash(password, 10) });
+  await revokeUserTokens(user.id);
+  await clearLoginFailures(user.username);
+}
+
+/**
+ * Change a password after checking the current one
+ * Returns null when the user does not exist, throws 400 for a wrong current
+ * password or a new one that is too short
+ */
+async function changePassword(userId, { currentPassword, newPassword } = {}) {
+  assertValidPassword(newPassword);
+
+  const user = await User.findByPk(userId);
+  if (!user) return null;
+
+  if (!currentPassword || !await bcrypt.compare(currentPassword, user.password)) {
+    throw createHttpError(400, 'Current password is incorrect');
+  }
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw createHttpError(400, 'New password must differ from the current one');
+  }
+
+  await setPassword(user, newPassword);
+  return user;
+}
+
+/**
+ * Mail a reset token to the account with this email
+ * Does nothing for unknown or deactivated accounts so callers cannot probe
+ * which emails are registered
+ */
+async function requestPasswordReset(email) {
+  if (!email) {
+    throw createHttpError(400, 'email is required');
+  }
+
+  const user = await User.findOne({ where: { email } });
+  if (!user || !user.isActive) return;
+
+  const redis = await getRedisClient();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const tokenHash = hashToken(token);
+
+  const previousHash = await redis.get(userResetKey(user.id));
+  if (previousHash) {
+    await redis.del(resetKey(previousHash));
+  }
+  await redis.set(resetKey(tokenHash), user.id, { EX: PASSWORD_RESET_TTL_SECONDS });
+  await redis.set(userResetKey(user.id), tokenHash, { EX: PASSWORD_RESET_TTL_SECONDS });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Use the link below to choose a new password. It works once and expires in',
+      `${Math.round(PASSWORD_RESET_TTL_SECONDS / 60)} minutes.`,
+      '',
+      `${PASSWORD_RESET_URL}?token=${token}`,
+      '',
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+/**
+ * Set a new password with a reset token, consuming the token
+ * Throws 400 for unknown, expired or already used tokens
+ */
+async function resetPassword(token, newPassword) {
+  if (!token) {
+    throw createHttpError(400, 'token is required');
+  }
+  assertValidPassword(newPassword);
+
+  const redis = await getRedisClient();
+  const tokenHash = hashToken(token);
+  const userId = await redis.getDel(resetKey(tokenHash));
+  if (!userId) {
+    throw createHttpError(400, 'Invalid or expired reset token');
+  }
+  await redis.del(userResetKey(userId));
+
+  const user = await User.findByPk(userId);
+  if (!user || !user.isActive) {
+    throw createHttpError(400, 'Invalid or expired reset token');
+  }
+
+  await setPassword(user, newPassword);
+  return user;
+}
+
+module.exports = {
+  changePassword,
+  requestPasswordReset,
+  resetPassword
+};
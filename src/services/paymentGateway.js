@@ -0,0 +1,54 @@
+/**
+ * Payment Gateway
+ * Registry of payment providers behind a common interface
+ *
+ * A provider is an object with a name and these async methods, each
+ * resolving to { success, reference, amount, currency, failureReason? }:
+ *   authorize({ amount, currency, paymentMethod, orderId })
+ *   capture({ reference, amount, currency, orderId })   reference of the authorization
+ *   void({ reference, amount, currency, orderId })      reference of the authorization
+ *   refund({ reference, amount, currency, orderId })    reference of the capture
+ * plus parseWebhook(rawBody, headers), returning the event or null when the
+ * signature is invalid. PAYMENT_PROVIDER picks the active provider.
+ */
+
+const { createHttpError } = require('../utils/httpError');
+const { createFakePaymentProvider } = require('./fakePaymentProvider');
+
+// A Map, not an object: names come from the webhook URL
+const factories = new Map([
+  ['fake', () => createFakePaymentProvider({
+    latencyMs: parseInt(process.env.FAKE_PAYMENT_LATENCY_MS) || 0,
+    declineRate: parseFloat(process.env.FAKE_PAYMENT_DECLINE_RATE) || 0,
+    webhookUrl: process.env.FAKE_PAYMENT_WEBHOOK_URL,
+    webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET
+  })]
+]);
+
+const providers = new Map();
+
+/**
+ * Make a provider available under a name
+ */
+function registerPaymentProvider(name, factory) {
+  factories.set(name, factory);
+  providers.delete(name);
+}
+
+/**
+ * Provider instance by name, defaulting to PAYMENT_PROVIDER
+ */
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER || 'fake') {
+  if (!factories.has(name)) {
+    throw createHttpError(404, `Unknown payment provider ${name}`);
+  }
+  if (!providers.has(name)) {
+    providers.set(name, factories.get(name)());
+  }
+  return providers.get(name);
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider
+};
@@ -0,0 +1,348 @@
+/**
+ * Payment Service
+ * Authorize, capture, void and refund order payments
+ *
+ * Orders are authorized when they are created, captured when they ship and
+ * voided if they are cancelled before that. Every provider call is stored as
+ * a Payment row, failures included, and moves Order.paymentStatus along.
+ */
+
+const { sequelize, Order, Payment } = require('../models');
+const pricingConfig = require('../config/pricing');
+const { createHttpError } = require('../utils/httpError');
+const { getPaymentProvider } = require('./paymentGateway');
+const { diffValues, recordOrderEvent } = require('./orderEvents');
+const { roundMoney } = require('./promotions');
+
+const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Store a provider result and move the order's payment status on success
+ */
+async function recordPayment(order, type, result, {
+  provider,
+  parentPayment,
+  paymentStatus,
+  eventType,
+  reason,
+  actor = 'system',
+  transaction
+}) {
+  const payment = await Payment.create({
+    orderId: order.id,
+    provider: provider.name,
+    type,
+    status: result.success ? 'succeeded' : 'failed',
+    amount: result.amount,
+    currency: result.currency,
+    providerReference: result.reference,
+    parentPaymentId: parentPayment?.id,
+    failureReason: result.failureReason,
+    reason,
+    actor
+  }, { transaction });
+
+  const nextStatus = result.success ? paymentStatus : (type === 'authorization' ? 'failed' : order.paymentStatus);
+  const changes = {};
+  if (nextStatus !== order.paymentStatus) {
+    changes.paymentStatus = { before: order.paymentStatus, after: nextStatus };
+    await order.update({ paymentStatus: nextStatus }, { transaction });
+  }
+
+  await recordOrderEvent(order.id, result.success ? eventType : 'payment_failed', {
+    actor,
+    changes: {
+      ...changes,
+      payment: { before: null, after: { id: payment.id, type, amount: result.amount, failureReason: result.failureReason } }
+    }
+  }, transaction);
+
+  return payment;
+}
+
+async function findLatestPayment(orderId, type, transaction) {
+  return Payment.findOne({
+    where: { orderId, type, status: 'succeeded' },
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+}
+
+/**
+ * Authorize the order total with the active provider
+ * Returns the Payment row; check its status for declines
+ */
+async function authorizePayment(order, { actor = 'system' } = {}) {
+  const provider = getPaymentProvider();
+  const result = await provider.authorize({
+    amount: roundMoney(parseFloat(order.totalAmount)),
+    currency: pricingConfig.currency,
+    paymentMethod: order.paymentMethod,
+    orderId: order.id
+  });
+
+  return recordPayment(order, 'authorization', result, {
+    provider,
+    paymentStatus: 'authorized',
+    eventType: 'payment_authorized',
+    actor
+  });
+}
+
+/**
+ * Capture the authorized amount; orders without an authorization (created
+ * before payments existed) are authorized first
+ * Throws 402 when the provider refuses
+ */
+async function capturePayment(order, { actor = 'system' } = {}) {
+  if (order.paymentStatus === 'paid') return null;
+
+  let authorization = await findLatestPayment(order.id, 'authorization');
+  if (!authorization || order.paymentStatus !== 'authorized') {
+    authorization = await authorizePayment(order, { actor });
+    if (authorization.status === 'failed') {
+      throw createHttpError(402, 'Payment authorization failed', {
+        orderId: order.id,
+        reason: authorization.failureReason
+      });
+    }
+  }
+
+  const provider = getPaymentProvider(authorization.provider);
+  const result = await provider.capture({
+    reference: authorization.providerReference,
+    amount: parseFloat(authorization.amount),
+    currency: authorization.currency,
+    orderId: order.id
+  });
+
+  const capture = await recordPayment(order, 'capture', result, {
+    provider,
+    parentPayment: authorization,
+    paymentStatus: 'paid',
+    eventType: 'payment_captured',
+    actor
+  });
+  if (capture.status === 'failed') {
+    throw createHttpError(402, 'Payment capture failed', { orderId: order.id, reason: capture.failureReason });
+  }
+
+  return capture;
+}
+
+/**
+ * Release an uncaptured authorization, used when an order is cancelled
+ * Failures are recorded but not thrown since the cancellation already happened
+ */
+async function voidPayment(order, { actor = 'system' } = {}) {
+  if (order.paymentStatus !== 'authorized') return null;
+
+  const authorization = await findLatestPayment(order.id, 'authorization');
+  if (!authorization) return null;
+
+  const provider = getPaymentProvider(authorization.provider);
+  const result = await provider.void({
+    reference: authorization.providerReference,
+    amount: parseFloat(authorization.amount),
+    currency: authorization.currency,
+    orderId: order.id
+  });
+
+  return recordPayment(order, 'void', result, {
+    provider,
+    parentPayment: authorization,
+    paymentStatus: 'voided',
+    eventType: 'payment_voided',
+    actor
+  });
+}
+
+/**
+ * Refund inside the caller's transaction
+ * The order row stays locked through the provider call so two refunds cannot
+ * both pass the balance check. A provider refusal is recorded and returned
+ * (refund.status === 'failed') rather than thrown, so the caller can commit
+ * the failed attempt before reporting it.
+ */
+async function applyRefund(orderId, { amount, reason, actor = 'system' }, transaction) {
+  const order = await Order.findByPk(orderId, {
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+  if (!order) return null;
+
+  if (!REFUNDABLE_STATUSES.includes(order.paymentStatus)) {
+    throw createHttpError(409, `Cannot refund an order with payment status ${order.paymentStatus}`);
+  }
+
+  const capture = await findLatestPayment(order.id, 'capture', transaction);
+  if (!capture) {
+    throw createHttpError(409, 'Order has no captured payment');
+  }
+
+  const refundable = roundMoney(parseFloat(capture.amount) - parseFloat(order.refundedAmount || 0));
+  const refundAmount = amount === undefined ? refundable : roundMoney(parseFloat(amount));
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    throw createHttpError(400, 'Refund amount must be a positive number');
+  }
+  if (refundAmount > refundable) {
+    throw createHttpError(400, `Refund amount exceeds the refundable balance of ${refundable}`, { refundable });
+  }
+
+  const provider = getPaymentProvider(capture.provider);
+  const result = await provider.refund({
+    reference: capture.providerReference,
+    amount: refundAmount,
+    currency: capture.currency,
+    orderId: order.id
+  });
+
+  const refundedAmount = roundMoney(parseFloat(order.refundedAmount || 0) + refundAmount);
+  const refund = await recordPayment(order, 'refund', result, {
+    provider,
+    parentPayment: capture,
+    paymentStatus: refundedAmount >= parseFloat(capture.amount) ? 'refunded' : 'partially_refunded',
+    eventType: 'refunded',
+    reason,
+    actor,
+    transaction
+  });
+
+  if (refund.status === 'succeeded') {
+    await order.update({ refundedAmount }, { transaction });
+  }
+
+  return { order, refund };
+}
+
+/**
+ * Refund part or all of a captured payment
+ * amount defaults to everything not yet refunded. Returns null when the order
+ * does not exist, throws 409 when nothing was captured, 400 for amounts over
+ * the refundable balance and 502 when the provider refuses.
+ */
+async function refundPayment(orderId, options = {}) {
+  const outcome = await sequelize.transaction(transaction => applyRefund(orderId, options, transaction));
+
+  assertRefundSucceeded(outcome?.refund);
+  return outcome;
+}
+
+/**
+ * Throw 502 for a refund the provider refused
+ */
+function assertRefundSucceeded(refund) {
+  if (refund?.status === 'failed') {
+    throw createHttpError(502, 'Refund was rejected by the payment provider', {
+      paymentId: refund.id,
+      reason: refund.failureReason
+    });
+  }
+}
+
+/**
+ * Every payment attempt for an order, oldest first
+ */
+async function getOrderPayments(orderId) {
+  return Payment.findAll({
+    where: { orderId },
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Order payment status and refunded amount once a webhook has flipped one
+ * of its payments
+ * Only the step that payment made is redone or undone; an order that has
+ * since moved on (e.g. captured after a corrected authorization) keeps its
+ * status.
+ */
+async function correctedOrderPayment(order, payment, transaction) {
+  const succeeded = payment.status === 'succeeded';
+  const current = order.paymentStatus;
+
+  switch (payment.type) {
+    case 'authorization':
+      if (succeeded && ['pending', 'failed'].includes(current)) return { paymentStatus: 'authorized' };
+      if (!succeeded && current === 'authorized') return { paymentStatus: 'failed' };
+      break;
+    case 'capture':
+      if (succeeded && current === 'authorized') return { paymentStatus: 'paid' };
+      if (!succeeded && current === 'paid') return { paymentStatus: 'authorized' };
+      break;
+    case 'void':
+      if (succeeded && current === 'authorized') return { paymentStatus: 'voided' };
+      if (!succeeded && current === 'voided') return { paymentStatus: 'authorized' };
+      break;
+    case 'refund': {
+      const capture = await Payment.findByPk(payment.parentPaymentId, { transaction });
+      const amount = parseFloat(payment.amount);
+      const refundedAmount = Math.max(0, roundMoney(parseFloat(order.refundedAmount || 0) + (succeeded ? amount : -amount)));
+      let paymentStatus = 'paid';
+      if (refundedAmount > 0) {
+        paymentStatus = capture && refundedAmount >= parseFloat(capture.amount) ? 'refunded' : 'partially_refunded';
+      }
+      return { paymentStatus, refundedAmount };
+    }
+  }
+  return {};
+}
+
+/**
+ * Reconcile a provider webhook with the stored Payment
+ * The synchronous response is normally already recorded; the webhook only
+ * corrects the status when the two disagree (e.g. the call timed out), and
+ * moves Order.paymentStatus to match. Throws 401 for bad signatures and 400
+ * for unreadable bodies.
+ */
+async function handlePaymentWebhook(providerName, rawBody, headers) {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event) {
+    throw createHttpError(401, 'Invalid webhook signature');
+  }
+
+  const payment = await Payment.findOne({
+    where: { provider: provider.name, providerReference: event.data?.reference }
+  });
+  if (!payment) {
+    return { event: event.id, matched: false };
+  }
+
+  const status = event.data.success ? 'succeeded' : 'failed';
+  if (payment.status !== status) {
+    console.warn(`Payment ${payment.id} status corrected from ${payment.status} to ${status} by webhook ${event.id}`);
+
+    await sequelize.transaction(async (transaction) => {
+      const order = await Order.findByPk(payment.orderId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const paymentChange = { before: { id: payment.id, status: payment.status }, after: { id: payment.id, status } };
+      await payment.update({ status, failureReason: event.data.failureReason || null }, { transaction });
+      if (!order) return;
+
+      const previous = { paymentStatus: order.paymentStatus, refundedAmount: parseFloat(order.refundedAmount || 0) };
+      const correction = await correctedOrderPayment(order, payment, transaction);
+      await order.update(correction, { transaction });
+
+      await recordOrderEvent(order.id, 'payment_corrected', {
+        actor: `webhook:${provider.name}`,
+        changes: { ...diffValues(previous, { ...previous, ...correction }), payment: paymentChange }
+      }, transaction);
+    });
+  }
+
+  return { event: event.id, matched: true, paymentId: payment.id };
+}
+
+module.exports = {
+  authorizePayment,
+  capturePayment,
+  voidPayment,
+  applyRefund,
+  assertRefundSucceeded,
+  refundPayment,
+  getOrderPayments,
+  handlePaymentWebhook
+};
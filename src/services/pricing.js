@@ -0,0 +1,179 @@
+/**
+ * Pricing
+ * Pipeline that turns order lines and a shipping address into totals
+ *
+ * Each step receives the shared pricing context and fills in its part:
+ * subtotal, coupon discounts, shipping and tax, then the grand total. Steps
+ * run in order, so a custom pipeline can insert, replace or drop steps
+ * (e.g. a handling fee before tax) via createPricingPipeline.
+ */
+
+const pricingConfig = require('../config/pricing');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney, applyCoupons } = require('./promotions');
+
+// Conversion factors to kilograms for weights stored as "<number> <unit>"
+const WEIGHT_UNITS = {
+  kg: 1,
+  g: 0.001,
+  lb: 0.45359237,
+  lbs: 0.45359237,
+  oz: 0.028349523
+};
+
+/**
+ * Parse Product.specifications.weight ("12.5 kg", "300 g", 2) into kilograms
+ * Returns null when the value is missing or unreadable
+ */
+function parseWeightKg(weight) {
+  if (typeof weight === 'number') {
+    return weight >= 0 ? weight : null;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([a-z]*)\s*$/i.exec(String(weight ?? ''));
+  if (!match) return null;
+
+  const factor = WEIGHT_UNITS[(match[2] || 'kg').toLowerCase()];
+  return factor ? parseFloat(match[1]) * factor : null;
+}
+
+/**
+ * ISO country code for an address, resolving aliases such as "USA"
+ */
+function resolveCountry(address, config = pricingConfig) {
+  const country = String(address?.country || config.defaultCountry).trim().toUpperCase();
+  return config.countryAliases?.[country] || country;
+}
+
+function findShippingZone(country, config = pricingConfig) {
+  return config.shipping.zones.find(zone => !zone.countries || zone.countries.includes(country));
+}
+
+function findTaxRate(country, state, config = pricingConfig) {
+  const countryRates = config.tax.countries[country];
+  if (!countryRates) {
+    return { rate: config.tax.defaultRate, region: country };
+  }
+
+  const stateCode = String(state || '').trim().toUpperCase();
+  if (stateCode && countryRates.states?.[stateCode] !== undefined) {
+    return { rate: countryRates.states[stateCode], region: `${country}-${stateCode}` };
+  }
+  return { rate: countryRates.rate, region: country };
+}
+
+async function subtotalStep(context) {
+  context.subtotal = roundMoney(context.lines.reduce((sum, line) => sum + line.subtotal, 0));
+}
+
+async function discountStep(context) {
+  const promotion = await applyCoupons(context.couponCodes, context.lines, {
+    userId: context.userId,
+    transaction: context.transaction,
+    lock: context.lockCoupons
+  });
+
+  context.promotion = promotion;
+  context.discountAmount = promotion.discountAmount;
+  for (const line of context.lines) {
+    line.discountAmount = promotion.lineDiscounts.get(line.key) || 0;
+  }
+}
+
+async function shippingStep(context) {
+  const { config } = context;
+  const country = resolveCountry(context.shippingAddress, config);
+  const zone = findShippingZone(country, config);
+  if (!zone) {
+    throw createHttpError(400, `No shipping available to ${country}`);
+  }
+
+  const weight = context.lines.reduce((sum, line) => {
+    const unitWeight = line.weight ?? config.shipping.defaultItemWeightKg;
+    return sum + unitWeight * line.quantity;
+  }, 0);
+  const waived = Boolean(context.promotion?.freeShipping);
+
+  context.shipping = {
+    zone: zone.name,
+    country,
+    weight: Math.round(weight * 1000) / 1000,
+    waived
+  };
+  context.shippingAmount = waived ? 0 : roundMoney(zone.baseRate + zone.perKg * weight);
+}
+
+async function taxStep(context) {
+  const { config } = context;
+  const country = resolveCountry(context.shippingAddress, config);
+  const { rate, region } = findTaxRate(country, context.shippingAddress?.state, config);
+
+  const taxableAmount = roundMoney(
+    context.subtotal - (context.discountAmount || 0) +
+    (config.tax.taxShipping ? context.shippingAmount || 0 : 0)
+  );
+
+  context.tax = { region, rate, taxableAmount };
+  context.taxAmount = roundMoney(taxableAmount * rate);
+}
+
+async function totalStep(context) {
+  context.totalAmount = roundMoney(
+    context.subtotal -
+    (context.discountAmount || 0) +
+    (context.shippingAmount || 0) +
+    (context.taxAmount || 0)
+  );
+}
+
+const DEFAULT_PRICING_STEPS = [subtotalStep, discountStep, shippingStep, taxStep, totalStep];
+
+/**
+ * Build a pricing function from a list of steps
+ * Each step is async (context) => void and updates the context in place
+ */
+function createPricingPipeline(steps = DEFAULT_PRICING_STEPS) {
+  return async function price(input) {
+    if (!input.shippingAddress || typeof input.shippingAddress !== 'object') {
+      throw createHttpError(400, 'shippingAddress is required');
+    }
+
+    const context = {
+      config: pricingConfig,
+      couponCodes: [],
+      lockCoupons: false,
+      ...input,
+      lines: input.lines.map(line => ({ ...line, discountAmount: 0 })),
+      subtotal: 0,
+      discountAmount: 0,
+      shippingAmount: 0,
+      taxAmount: 0,
+      totalAmount: 0
+    };
+
+    for (const step of steps) {
+      await step(context);
+    }
+
+    return context;
+  };
+}
+
+/**
+ * Price order lines with the default pipeline
+ * input: { lines, shippingAddress, couponCodes, userId, transaction, lockCoupons }
+ * lines: [{ key, productId, variantId, categoryId, price, quantity, subtotal, weight }]
+ */
+const priceOrder = createPricingPipeline();
+
+module.exports = {
+  parseWeightKg,
+  resolveCountry,
+  subtotalStep,
+  discountStep,
+  shippingStep,
+  taxStep,
+  totalStep,
+  DEFAULT_PRICING_STEPS,
+  createPricingPipeline,
+  priceOrder
+};
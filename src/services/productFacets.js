@@ -0,0 +1,189 @@
+/**
+ * Product Search Facets
+ * Filter parsing, filter matching, facet aggregation and result ordering
+ * shared by the search engines behind GET /api/products/search
+ *
+ * Engines that hold products in memory (simple, smart, indexed) use
+ * matchesFilters/buildFacets directly; the full-text engine pushes the same
+ * filters into SQL and only reuses the bucket definitions.
+ */
+
+// Price bucket lower bounds; the last bucket is open-ended
+const PRICE_BUCKET_EDGES = [0, 25, 50, 100, 250, 500, 1000];
+
+// ?sort= values; relevance is each engine's own ranking
+const SEARCH_SORTS = ['relevance', 'rating'];
+
+/**
+ * Collect specification filters from either ?specifications[color]=red
+ * (parsed to an object by the query parser) or ?specifications.color=red
+ */
+function parseSpecificationFilters(query) {
+  const specifications = {};
+
+  if (query.specifications && typeof query.specifications === 'object') {
+    for (const [key, value] of Object.entries(query.specifications)) {
+      if (typeof value === 'string' && value) {
+        specifications[key] = value;
+      }
+    }
+  }
+
+  for (const [param, value] of Object.entries(query)) {
+    if (param.startsWith('specifications.') && typeof value === 'string' && value) {
+      specifications[param.substring('specifications.'.length)] = value;
+    }
+  }
+
+  return specifications;
+}
+
+/**
+ * Build the applied filter set from request query parameters
+ * Only filters that were actually supplied are present in the result
+ */
+function parseSearchFilters(query) {
+  const filters = {};
+
+  const minPrice = parseFloat(query.minPrice);
+  if (!Number.isNaN(minPrice)) filters.minPrice = minPrice;
+
+  const maxPrice = parseFloat(query.maxPrice);
+  if (!Number.isNaN(maxPrice)) filters.maxPrice = maxPrice;
+
+  if (query.categoryId) {
+    filters.categoryId = String(query.categoryId);
+  }
+
+  if (query.tags) {
+    const tags = String(query.tags).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tags.length) filters.tags = tags;
+  }
+
+  if (query.inStock === 'true' || query.inStock === 'false') {
+    filters.inStock = query.inStock === 'true';
+  }
+
+  const specifications = parseSpecificationFilters(query);
+  if (Object.keys(specifications).length) {
+    filters.specifications = specifications;
+  }
+
+  return filters;
+}
+
+/**
+ * Normalize a product instance or index document into the fields facets need
+ */
+function toFacetDocument(product) {
+  return {
+    categoryId: product.categoryId || null,
+    categoryName: product.categoryName || product.Category?.name || null,
+    price: parseFloat(product.price),
+    stock: product.stock || 0,
+    tags: Array.isArray(product.tags) ? product.tags : [],
+    specifications: product.specifications || {}
+  };
+}
+
+/**
+ * Check a facet document against the applied filters
+ * Tags match if the product has any of the requested tags
+ */
+function matchesFilters(doc, filters) {
+  if (filters.minPrice !== undefined && doc.price < filters.minPrice) return false;
+  if (filters.maxPrice !== undefined && doc.price > filters.maxPrice) return false;
+  if (filters.categoryId && doc.categoryId !== filters.categoryId) return false;
+
+  if (filters.inStock !== undefined && (doc.stock > 0) !== filters.inStock) return false;
+
+  if (filters.tags) {
+    const productTags = doc.tags.map(tag => String(tag).toLowerCase());
+    if (!filters.tags.some(tag => productTags.includes(tag))) return false;
+  }
+
+  if (filters.specifications) {
+    for (const [key, value] of Object.entries(filters.specifications)) {
+      const actual = doc.specifications[key];
+      if (actual === undefined || actual === null) return false;
+      if (String(actual).toLowerCase() !== value.toLowerCase()) return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Order for ?sort=rating: higher average first, then more reviews
+ * Returns 0 on a tie so a stable sort keeps the relevance order
+ */
+function compareByRating(a, b) {
+  const ratingDifference = (parseFloat(b.averageRating) || 0) - (parseFloat(a.averageRating) || 0);
+  if (ratingDifference !== 0) return ratingDifference;
+  return (b.reviewCount || 0) - (a.reviewCount || 0);
+}
+
+/**
+ * Index of the price bucket a price falls into
+ */
+function priceBucketIndex(price) {
+  let index = 0;
+  while (index < PRICE_BUCKET_EDGES.length - 1 && price >= PRICE_BUCKET_EDGES[index + 1]) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Turn bucket counts (indexed like PRICE_BUCKET_EDGES) into response ranges
+ */
+function formatPriceRanges(bucketCounts) {
+  return PRICE_BUCKET_EDGES.map((min, index) => ({
+    min,
+    max: index < PRICE_BUCKET_EDGES.length - 1 ? PRICE_BUCKET_EDGES[index + 1] : null,
+    count: bucketCounts[index] || 0
+  }));
+}
+
+/**
+ * Aggregate category, tag and price bucket counts over a set of facet documents
+ */
+function buildFacets(docs) {
+  const categories = new Map();
+  const tags = new Map();
+  const bucketCounts = [];
+
+  for (const doc of docs) {
+    if (doc.categoryId) {
+      const entry = categories.get(doc.categoryId) || { id: doc.categoryId, name: doc.categoryName, count: 0 };
+      entry.count++;
+      categories.set(doc.categoryId, entry);
+    }
+
+    for (const tag of new Set(doc.tags.map(t => String(t).toLowerCase()))) {
+      tags.set(tag, (tags.get(tag) || 0) + 1);
+    }
+
+    const bucket = priceBucketIndex(doc.price);
+    bucketCounts[bucket] = (bucketCounts[bucket] || 0) + 1;
+  }
+
+  return {
+    categories: [...categories.values()].sort((a, b) => b.count - a.count),
+    tags: [...tags.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count),
+    priceRanges: formatPriceRanges(bucketCounts)
+  };
+}
+
+module.exports = {
+  PRICE_BUCKET_EDGES,
+  SEARCH_SORTS,
+  parseSearchFilters,
+  toFacetDocument,
+  matchesFilters,
+  buildFacets,
+  compareByRating,
+  formatPriceRanges
+};
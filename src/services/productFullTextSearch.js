@@ -0,0 +1,152 @@
+/**
+ * Product Full-Text Search
+ * Database-native search backend for GET /api/products/search
+ *
+ * Matches against the weighted "searchVector" tsvector column (GIN indexed)
+ * and falls back to pg_trgm word similarity on the product name for typos.
+ * Ranking, filtering, counting and facet aggregation all happen in a single
+ * SQL query over the same set of matches.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../models');
+const { PRICE_BUCKET_EDGES, formatPriceRanges } = require('./productFacets');
+
+// Units available to order, as the indexed engine counts them: the active
+// variants' total for products sold in variants, otherwise the own stock
+const AVAILABLE_STOCK = `COALESCE((
+  SELECT SUM(v.stock) FROM "ProductVariants" v
+  WHERE v."productId" = p.id AND v."isActive" = true
+), p.stock, 0)`;
+
+/**
+ * Translate applied search filters into SQL conditions and replacements
+ */
+function buildFilterConditions(filters, replacements) {
+  const conditions = [];
+
+  if (filters.minPrice !== undefined) {
+    conditions.push('p.price >= :minPrice');
+    replacements.minPrice = filters.minPrice;
+  }
+  if (filters.maxPrice !== undefined) {
+    conditions.push('p.price <= :maxPrice');
+    replacements.maxPrice = filters.maxPrice;
+  }
+  if (filters.categoryId) {
+    conditions.push('p."categoryId" = :categoryId');
+    replacements.categoryId = filters.categoryId;
+  }
+  if (filters.tags) {
+    conditions.push('p.tags && ARRAY[:tags]::varchar[]');
+    replacements.tags = filters.tags;
+  }
+  if (filters.inStock !== undefined) {
+    conditions.push(`${AVAILABLE_STOCK} ${filters.inStock ? '>' : '<='} 0`);
+  }
+  if (filters.specifications) {
+    Object.entries(filters.specifications).forEach(([key, value], index) => {
+      conditions.push(`lower(p.specifications->>:specKey${index}) = lower(:specValue${index})`);
+      replacements[`specKey${index}`] = key;
+      replacements[`specValue${index}`] = value;
+    });
+  }
+
+  return conditions;
+}
+
+/**
+ * Search products in Postgres
+ * sort 'rating' ranks by average rating first and relevance second
+ * Returns { hits: [{ id, searchScore, matchCount }], total, facets }
+ */
+async function fullTextSearch(query, { filters = {}, limit = 50, sort = 'relevance' } = {}) {
+  const replacements = {
+    query: query.trim(),
+    limit,
+    priceBucketEdges: PRICE_BUCKET_EDGES.slice(1)
+  };
+  const conditions = ['p."isActive" = true', ...buildFilterConditions(filters, replacements)];
+
+  if (replacements.query) {
+    conditions.push(`(
+      p."searchVector" @@ websearch_to_tsquery('english', :query)
+      OR :query <% p.name
+    )`);
+  }
+
+  const [row] = await sequelize.query(`
+    WITH matches AS (
+      SELECT
+        p.id,
+        p.name,
+        p."categoryId",
+        p.price,
+        p.tags,
+        p."averageRating",
+        p."reviewCount",
+        ts_rank(p."searchVector", websearch_to_tsquery('english', :query)) AS "textRank",
+        word_similarity(:query, p.name) AS "similarity",
+        p."searchVector" @@ websearch_to_tsquery('english', :query) AS "textMatch"
+      FROM "Products" p
+      WHERE ${conditions.join(' AND ')}
+    )
+    SELECT
+      (SELECT COUNT(*) FROM matches) AS "total",
+      (
+        SELECT COALESCE(json_agg(top), '[]')
+        FROM (
+          SELECT id, "textRank", "similarity", "textMatch"
+          FROM matches
+          ORDER BY ${sort === 'rating' ? '"averageRating" DESC, "reviewCount" DESC, ' : ''}"textRank" + "similarity" DESC, name ASC
+          LIMIT :limit
+        ) top
+      ) AS "hits",
+      (
+        SELECT COALESCE(json_agg(c ORDER BY c.count DESC), '[]')
+        FROM (
+          SELECT m."categoryId" AS id, cat.name, COUNT(*)::int AS count
+          FROM matches m
+          JOIN "Categories" cat ON cat.id = m."categoryId"
+          GROUP BY m."categoryId", cat.name
+        ) c
+      ) AS "categories",
+      (
+        SELECT COALESCE(json_agg(t ORDER BY t.count DESC, t.value ASC), '[]')
+        FROM (
+          SELECT tag AS value, COUNT(*)::int AS count
+          FROM matches m, unnest(m.tags) AS tag
+          GROUP BY tag
+        ) t
+      ) AS "tags",
+      (
+        SELECT COALESCE(json_object_agg(b.bucket, b.count), '{}')
+        FROM (
+          SELECT width_bucket(m.price, ARRAY[:priceBucketEdges]::numeric[]) AS bucket, COUNT(*)::int AS count
+          FROM matches m
+          GROUP BY bucket
+        ) b
+      ) AS "priceBuckets"
+  `, {
+    replacements,
+    type: QueryTypes.SELECT
+  });
+
+  return {
+    hits: row.hits.map(hit => ({
+      id: hit.id,
+      searchScore: hit.textRank + hit.similarity,
+      matchCount: (hit.textMatch ? 1 : 0) + (hit.similarity >= 0.6 ? 1 : 0)
+    })),
+    total: parseInt(row.total),
+    facets: {
+      categories: row.categories,
+      tags: row.tags,
+      priceRanges: formatPriceRanges(row.priceBuckets)
+    }
+  };
+}
+
+module.exports = {
+  fullTextSearch
+};
@@ -0,0 +1,401 @@
+/**
+ * Product Import/Export
+ * Bulk catalog upserts from CSV or NDJSON and streaming catalog exports
+ *
+ * Imports are read as a stream and upserted by SKU in chunks: each chunk
+ * looks up its SKUs once, bulk-creates the new products and bulk-updates
+ * the existing ones (one statement per set of columns) in a single
+ * transaction, so a failed chunk never leaves half its rows written
+ * (earlier chunks stay committed). The chunk is then reindexed with one
+ * query. Rows that fail
+ * validation are skipped and listed in the report with the reason; a dry
+ * run validates and classifies every row without writing anything.
+ *
+ * A column missing from the file leaves that field untouched on existing
+ * products. An empty cell clears description, imageUrl, category, tags and
+ * specifications, but leaves stock and isActive unchanged since neither has
+ * an empty value to clear to (new products get 0 and true). Exports use the
+ * same columns, so an export can be edited in a spreadsheet and imported
+ * back.
+ */
+
+const readline = require('readline');
+const { Op } = require('sequelize');
+const { sequelize, Product, Category } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { parseCsv, formatCsvRow } = require('../utils/csv');
+const { reindexProducts } = require('./productSearchIndex');
+
+const IMPORT_FORMATS = ['csv', 'ndjson'];
+const IMPORT_CHUNK_SIZE = 500;
+const EXPORT_BATCH_SIZE = 500;
+// Longer reports are truncated; the counts still cover every row
+const MAX_REPORTED_ERRORS = 1000;
+
+// Columns of both formats; category is the category name
+const CATALOG_FIELDS = [
+  'sku',
+  'name',
+  'description',
+  'price',
+  'stock',
+  'category',
+  'imageUrl',
+  'isActive',
+  'tags',
+  'specifications'
+];
+const IMPORT_FIELDS = [...CATALOG_FIELDS, 'categoryId'];
+const REQUIRED_FIELDS = ['sku', 'name', 'price'];
+
+function isBlank(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no'].includes(text)) return false;
+  return undefined;
+}
+
+/**
+ * Turn one raw record into Product values
+ * Returns { values, errors }; errors is a list of { field, message }
+ */
+function normalizeRecord(record, categories) {
+  const values = {};
+  const errors = [];
+
+  for (const field of REQUIRED_FIELDS) {
+    if (isBlank(record[field])) {
+      errors.push({ field, message: `${field} is required` });
+    }
+  }
+
+  if (!isBlank(record.sku)) values.sku = String(record.sku).trim();
+  if (!isBlank(record.name)) values.name = String(record.name).trim();
+
+  if (!isBlank(record.price)) {
+    const price = Number(record.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push({ field: 'price', message: 'price must be a number of at least 0' });
+    } else {
+      values.price = Math.round(price * 100) / 100;
+    }
+  }
+
+  // Blank stock and isActive cells keep the current value, see the header
+  if (!isBlank(record.stock)) {
+    const stock = Number(record.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push({ field: 'stock', message: 'stock must be a whole number of at least 0' });
+    } else {
+      values.stock = stock;
+    }
+  }
+
+  for (const field of ['description', 'imageUrl']) {
+    if (record[field] !== undefined) {
+      values[field] = isBlank(record[field]) ? null : String(record[field]).trim();
+    }
+  }
+
+  if (!isBlank(record.isActive)) {
+    const isActive = parseBoolean(record.isActive);
+    if (isActive === undefined) {
+      errors.push({ field: 'isActive', message: 'isActive must be true or false' });
+    } else {
+      values.isActive = isActive;
+    }
+  }
+
+  if (record.tags !== undefined) {
+    const tags = Array.isArray(record.tags) ? record.tags : String(record.tags || '').split(/[|,]/);
+    values.tags = tags.filter(tag => !isBlank(tag));
+  }
+
+  if (record.specifications !== undefined) {
+    let specifications = record.specifications;
+    if (typeof specifications === 'string') {
+      try {
+        specifications = isBlank(specifications) ? {} : JSON.parse(specifications);
+      } catch (error) {
+        specifications = undefined;
+      }
+    }
+    if (!specifications || typeof specifications !== 'object' || Array.isArray(specifications)) {
+      errors.push({ field: 'specifications', message: 'specifications must be a JSON object' });
+    } else {
+      values.specifications = specifications;
+    }
+  }
+
+  if (record.category !== undefined) {
+    const name = isBlank(record.category) ? null : String(record.category).trim();
+    if (name && !categories.byName.has(name)) {
+      errors.push({ field: 'category', message: `Category ${name} not found` });
+    } else {
+      values.categoryId = name ? categories.byName.get(name) : null;
+    }
+  } else if (record.categoryId !== undefined) {
+    const categoryId = isBlank(record.categoryId) ? null : String(record.categoryId).trim();
+    if (categoryId && !categories.ids.has(categoryId)) {
+      errors.push({ field: 'categoryId', message: `Category ${categoryId} not found` });
+    } else {
+      values.categoryId = categoryId;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Records of a CSV stream as { row, record } or { row, errors }
+ * The first record is the header; row numbers count it as row 1
+ */
+async function* readCsvRecords(stream, report) {
+  let header;
+  let row = 0;
+
+  for await (const fields of parseCsv(stream)) {
+    row++;
+    if (!header) {
+      header = fields.map(name => name.trim());
+      const missing = REQUIRED_FIELDS.filter(field => !header.includes(field));
+      if (missing.length) {
+        throw createHttpError(400, `CSV header is missing required columns: ${missing.join(', ')}`, {
+          columns: IMPORT_FIELDS
+        });
+      }
+      report.ignoredColumns = header.filter(name => !IMPORT_FIELDS.includes(name));
+      continue;
+    }
+
+    if (fields.length !== header.length) {
+      yield {
+        row,
+        errors: [{ field: null, message: `Expected ${header.length} fields, got ${fields.length}` }]
+      };
+      continue;
+    }
+
+    const record = {};
+    header.forEach((name, index) => {
+      if (IMPORT_FIELDS.includes(name)) {
+        record[name] = fields[index];
+      }
+    });
+    yield { row, record };
+  }
+}
+
+/**
+ * Records of an NDJSON stream as { row, record } or { row, errors }
+ * row is the line number; blank lines are skipped
+ */
+async function* readNdjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let row = 0;
+
+  for await (const line of lines) {
+    row++;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      yield { row, errors: [{ field: null, message: 'Invalid JSON' }] };
+      continue;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      yield { row, errors: [{ field: null, message: 'Each line must be a JSON object' }] };
+      continue;
+    }
+    yield { row, record };
+  }
+}
+
+function recordFailure(report, row, sku, errors) {
+  report.failed++;
+  if (report.errors.length < MAX_REPORTED_ERRORS) {
+    report.errors.push({ row, ...(sku && { sku }), errors });
+  } else {
+    report.errorsTruncated = true;
+  }
+}
+
+async function refreshImportedProducts(ids, updatedIds) {
+  await reindexProducts(ids);
+
+  if (updatedIds.length) {
+    const redis = await getRedisClient();
+    await redis.del(updatedIds.map(id => `product:${id}`));
+  }
+}
+
+/**
+ * Group rows by the fields they set, so each group is one bulk update that
+ * leaves the columns missing from its rows untouched
+ */
+function groupByFields(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = Object.keys(row.values).sort().join(',');
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * Upsert one chunk of validated rows by SKU
+ */
+async function writeChunk(chunk, report, dryRun) {
+  const existing = await Product.findAll({ where: { sku: chunk.map(({ values }) => values.sku) } });
+  const existingBySku = new Map(existing.map(product => [product.sku, product]));
+
+  const toCreate = chunk.filter(({ values }) => !existingBySku.has(values.sku));
+  const toUpdate = chunk.filter(({ values }) => existingBySku.has(values.sku));
+
+  if (!dryRun) {
+    const created = await sequelize.transaction(async (transaction) => {
+      const products = toCreate.length ?
+        await Product.bulkCreate(toCreate.map(({ values }) => values), { validate: true, transaction }) :
+        [];
+
+      for (const [fields, rows] of groupByFields(toUpdate)) {
+        await Product.bulkCreate(rows.map(({ values }) => values), {
+          validate: true,
+          conflictAttributes: ['sku'],
+          updateOnDuplicate: [...fields.split(','), 'updatedAt'],
+          transaction
+        });
+      }
+      return products;
+    });
+
+    const updatedIds = toUpdate.map(({ values }) => existingBySku.get(values.sku).id);
+    await refreshImportedProducts([...created.map(product => product.id), ...updatedIds], updatedIds);
+  }
+
+  report.created += toCreate.length;
+  report.updated += toUpdate.length;
+}
+
+/**
+ * Import products from a CSV or NDJSON stream, upserting by SKU
+ * Returns the report { format, dryRun, rows, created, updated, failed, errors }
+ * where errors lists { row, sku, errors: [{ field, message }] } per failed row.
+ * With dryRun nothing is written and created/updated count what would be.
+ */
+async function importProducts(stream, { format, dryRun = false } = {}) {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw createHttpError(400, `Invalid import format, expected one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  const allCategories = await Category.findAll({ attributes: ['id', 'name'] });
+  const categories = {
+    byName: new Map(allCategories.map(category => [category.name, category.id])),
+    ids: new Set(allCategories.map(category => category.id))
+  };
+
+  const report = { format, dryRun, rows: 0, created: 0, updated: 0, failed: 0, errors: [] };
+  const records = format === 'csv' ? readCsvRecords(stream, report) : readNdjsonRecords(stream);
+  // sku -> first row it appeared on; a SKU may only appear once per file
+  const seenSkus = new Map();
+  let chunk = [];
+
+  for await (const { row, record, errors: readErrors } of records) {
+    report.rows++;
+    if (readErrors) {
+      recordFailure(report, row, null, readErrors);
+      continue;
+    }
+
+    const { values, errors } = normalizeRecord(record, categories);
+    if (values.sku && seenSkus.has(values.sku)) {
+      errors.push({ field: 'sku', message: `Duplicate sku, first seen on row ${seenSkus.get(values.sku)}` });
+    }
+    if (errors.length) {
+      recordFailure(report, row, values.sku, errors);
+      continue;
+    }
+
+    seenSkus.set(values.sku, row);
+    chunk.push({ row, values });
+    if (chunk.length >= IMPORT_CHUNK_SIZE) {
+      await writeChunk(chunk, report, dryRun);
+      chunk = [];
+    }
+  }
+
+  if (chunk.length) {
+    await writeChunk(chunk, report, dryRun);
+  }
+  return report;
+}
+
+function toCatalogRecord(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    stock: product.stock,
+    category: product.Category ? product.Category.name : null,
+    imageUrl: product.imageUrl,
+    isActive: product.isActive,
+    tags: product.tags || [],
+    specifications: product.specifications || {}
+  };
+}
+
+function formatCatalogCsvRow(record) {
+  return formatCsvRow(CATALOG_FIELDS.map(field => {
+    if (field === 'tags') return record.tags.join('|');
+    if (field === 'specifications') return JSON.stringify(record.specifications);
+    return record[field];
+  }));
+}
+
+/**
+ * Stream the whole catalog as CSV or NDJSON text
+ * Products are read in batches in id order, so memory use does not grow
+ * with the catalog; each yielded string is one batch of lines.
+ */
+async function* exportProducts(format) {
+  if (format === 'csv') {
+    yield formatCsvRow(CATALOG_FIELDS);
+  }
+
+  let lastId = null;
+  for (;;) {
+    const products = await Product.findAll({
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      include: [{ model: Category, attributes: ['id', 'name'] }],
+      order: [['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE
+    });
+    if (products.length === 0) break;
+
+    yield products
+      .map(toCatalogRecord)
+      .map(record => format === 'csv' ? formatCatalogCsvRow(record) : `${JSON.stringify(record)}\n`)
+      .join('');
+
+    if (products.length < EXPORT_BATCH_SIZE) break;
+    lastId = products[products.length - 1].id;
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  importProducts,
+  exportProducts
+};
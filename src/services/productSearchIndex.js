@@ -0,0 +1,415 @@
+/**
+ * Product Search Index
+ * In-process inverted index used by GET /api/products/search
+ *
+ * Products are tokenized per field into token postings (token -> docs),
+ * and every distinct token is broken into trigrams (trigram -> tokens) so
+ * misspelled query terms can be matched against the vocabulary without
+ * touching the database. Only the top hits are hydrated from Postgres.
+ * The suggestion trie is kept in step with every document change here.
+ *
+ * Documents copy stock (the active variants' total for products sold in
+ * variants) and the category name, so writes that change those without
+ * saving the product (orders, restocks, variant edits, category renames and
+ * deletes) call reindexProducts or reindexCategory once they commit.
+ */
+
+const { Product, Category, ProductVariant } = require('../models');
+const { toFacetDocument, matchesFilters, buildFacets, compareByRating } = require('./productFacets');
+const { addProductSuggestions, removeProductSuggestions, clearSuggestions } = require('./productSuggestions');
+
+// Field weights mirror the ones used by smart search
+const FIELD_WEIGHTS = {
+  name: 3,
+  sku: 2,
+  description: 1.5,
+  category: 1,
+  tags: 0.8
+};
+
+// Minimum trigram similarity for a vocabulary token to count as a fuzzy match
+const MIN_SIMILARITY = 0.3;
+
+// Number of products loaded per query while building the index
+const BUILD_BATCH_SIZE = 500;
+
+// What a document is built from besides the product row
+const ACTIVE_VARIANTS = {
+  model: ProductVariant,
+  as: 'variants',
+  where: { isActive: true },
+  required: false,
+  attributes: ['id', 'stock']
+};
+const DOCUMENT_INCLUDE = [{ model: Category, attributes: ['id', 'name'] }, ACTIVE_VARIANTS];
+
+// docId -> { id, name, fields: { field: [tokens] }, ...facet document }
+const documents = new Map();
+
+// token -> Map(docId -> Set(fields))
+const tokenPostings = new Map();
+
+// trigram -> Set(tokens)
+const trigramPostings = new Map();
+
+// categoryId -> category name
+const categoryNames = new Map();
+
+/**
+ * Split text into lowercase alphanumeric tokens
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Build the padded trigram set for a token ("lap" -> "  l", " la", "lap", "ap ")
+ */
+function trigramsFor(token) {
+  const padded = `  ${token} `;
+  const trigrams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    trigrams.add(padded.substring(i, i + 3));
+  }
+  return trigrams;
+}
+
+function addTokenToVocabulary(token) {
+  for (const trigram of trigramsFor(token)) {
+    if (!trigramPostings.has(trigram)) {
+      trigramPostings.set(trigram, new Set());
+    }
+    trigramPostings.get(trigram).add(token);
+  }
+}
+
+function removeTokenFromVocabulary(token) {
+  for (const trigram of trigramsFor(token)) {
+    const tokens = trigramPostings.get(trigram);
+    if (!tokens) continue;
+    tokens.delete(token);
+    if (tokens.size === 0) {
+      trigramPostings.delete(trigram);
+    }
+  }
+}
+
+/**
+ * Extract the searchable fields from a product instance or plain object
+ */
+function extractFields(product) {
+  const categoryName = product.Category?.name || categoryNames.get(product.categoryId);
+
+  return {
+    name: tokenize(product.name),
+    description: tokenize(product.description),
+    sku: tokenize(product.sku),
+    category: tokenize(categoryName),
+    tags: Array.isArray(product.tags) ? product.tags.flatMap(tokenize) : []
+  };
+}
+
+/**
+ * Units available to order: the active variants' total when the product is
+ * sold in variants, otherwise the product's own stock
+ */
+function availableStock(product) {
+  if (product.variants?.length) {
+    return product.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+  return product.stock || 0;
+}
+
+function removeDocument(id) {
+  const doc = documents.get(id);
+  if (!doc) return;
+
+  for (const tokens of Object.values(doc.fields)) {
+    for (const token of tokens) {
+      const postings = tokenPostings.get(token);
+      if (!postings) continue;
+      postings.delete(id);
+      if (postings.size === 0) {
+        tokenPostings.delete(token);
+        removeTokenFromVocabulary(token);
+      }
+    }
+  }
+
+  documents.delete(id);
+  removeProductSuggestions(doc);
+}
+
+function addDocument(product) {
+  const id = product.id;
+  const fields = extractFields(product);
+
+  const doc = {
+    ...toFacetDocument(product),
+    categoryName: product.Category?.name || categoryNames.get(product.categoryId) || null,
+    stock: availableStock(product),
+    id,
+    name: product.name,
+    averageRating: parseFloat(product.averageRating) || 0,
+    reviewCount: product.reviewCount || 0,
+    fields
+  };
+  documents.set(id, doc);
+  addProductSuggestions(doc);
+
+  for (const [field, tokens] of Object.entries(fields)) {
+    for (const token of tokens) {
+      if (!tokenPostings.has(token)) {
+        tokenPostings.set(token, new Map());
+        addTokenToVocabulary(token);
+      }
+      const postings = tokenPostings.get(token);
+      if (!postings.has(id)) {
+        postings.set(id, new Set());
+      }
+      postings.get(id).add(field);
+    }
+  }
+}
+
+/**
+ * Find vocabulary tokens similar to a query token using trigram overlap
+ * Returns Map(token -> similarity between 0 and 1)
+ */
+function expandQueryToken(queryToken) {
+  const matches = new Map();
+  const queryTrigrams = trigramsFor(queryToken);
+  const sharedCounts = new Map();
+
+  for (const trigram of queryTrigrams) {
+    const tokens = trigramPostings.get(trigram);
+    if (!tokens) continue;
+    for (const token of tokens) {
+      sharedCounts.set(token, (sharedCounts.get(token) || 0) + 1);
+    }
+  }
+
+  for (const [token, shared] of sharedCounts) {
+    let similarity;
+    if (token === queryToken) {
+      similarity = 1;
+    } else if (token.startsWith(queryToken)) {
+      // Prefix matches keep short queries like "lap" useful
+      similarity = Math.max(0.5, queryToken.length / token.length);
+    } else {
+      // Dice coefficient over trigram sets
+      similarity = (2 * shared) / (queryTrigrams.size + trigramsFor(token).size);
+    }
+
+    if (similarity >= MIN_SIMILARITY) {
+      matches.set(token, similarity);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Add or replace a product in the index
+ * Accepts a Sequelize instance (optionally with Category and variants
+ * included) or plain object; missing variants are looked up
+ */
+async function indexProduct(product) {
+  if (!product) return;
+
+  if (!product.variants) {
+    product.variants = await ProductVariant.findAll({
+      where: { productId: product.id, isActive: true },
+      attributes: ['id', 'stock']
+    });
+  }
+
+  if (product.categoryId && !product.Category && !categoryNames.has(product.categoryId)) {
+    const category = await Category.findByPk(product.categoryId, { attributes: ['id', 'name'] });
+    if (category) {
+      categoryNames.set(category.id, category.name);
+    }
+  }
+
+  removeDocument(product.id);
+  if (product.isActive === false) return;
+
+  if (product.Category) {
+    categoryNames.set(product.Category.id, product.Category.name);
+  }
+  addDocument(product);
+}
+
+/**
+ * Remove a product from the index
+ */
+function removeProduct(id) {
+  removeDocument(id);
+}
+
+/**
+ * Reload products from the database and reindex them
+ * Ids no longer in the database are dropped from the index
+ */
+async function reindexProducts(ids) {
+  const uniqueIds = [...new Set(ids)];
+  if (uniqueIds.length === 0) return;
+
+  const products = await Product.findAll({ where: { id: uniqueIds }, include: DOCUMENT_INCLUDE });
+  for (const product of products) {
+    await indexProduct(product);
+  }
+
+  const found = new Set(products.map(product => product.id));
+  for (const id of uniqueIds) {
+    if (!found.has(id)) {
+      removeDocument(id);
+    }
+  }
+}
+
+/**
+ * Forget a category's cached name and reindex the products filed under it
+ * Call after renaming a category, or after deleting one once its products
+ * have moved to the parent
+ */
+async function reindexCategory(categoryId) {
+  categoryNames.delete(categoryId);
+
+  const ids = [];
+  for (const [id, doc] of documents) {
+    if (doc.categoryId === categoryId) {
+      ids.push(id);
+    }
+  }
+  await reindexProducts(ids);
+}
+
+/**
+ * Rebuild the whole index from the database
+ * Products are loaded in batches to keep memory bounded on large catalogs
+ */
+async function buildSearchIndex() {
+  documents.clear();
+  tokenPostings.clear();
+  trigramPostings.clear();
+  categoryNames.clear();
+  clearSuggestions();
+
+  const categories = await Category.findAll({ attributes: ['id', 'name'] });
+  for (const category of categories) {
+    categoryNames.set(category.id, category.name);
+  }
+
+  let offset = 0;
+  for (;;) {
+    const products = await Product.findAll({
+      where: { isActive: true },
+      include: [ACTIVE_VARIANTS],
+      order: [['id', 'ASC']],
+      limit: BUILD_BATCH_SIZE,
+      offset
+    });
+
+    for (const product of products) {
+      addDocument(product);
+    }
+
+    if (products.length < BUILD_BATCH_SIZE) break;
+    offset += BUILD_BATCH_SIZE;
+  }
+
+  return documents.size;
+}
+
+/**
+ * Search the index
+ * Facets are aggregated over every hit that passes the filters, not just the top N
+ * sort 'rating' ranks by average rating first and relevance second
+ * Returns { hits: [{ id, searchScore, matchCount }], total, comparisons, facets }
+ */
+function searchIndex(query, { filters = {}, limit = 50, sort = 'relevance' } = {}) {
+  const queryTokens = [...new Set(tokenize(query))];
+  const scores = new Map();
+  let comparisons = 0;
+
+  if (queryTokens.length === 0) {
+    // No query terms: browse mode, every product is a hit
+    for (const id of documents.keys()) {
+      scores.set(id, { score: 0, fields: new Set() });
+    }
+  }
+
+  for (const queryToken of queryTokens) {
+    for (const [token, similarity] of expandQueryToken(queryToken)) {
+      const postings = tokenPostings.get(token);
+      for (const [id, fields] of postings) {
+        comparisons++;
+        if (!scores.has(id)) {
+          scores.set(id, { score: 0, fields: new Set() });
+        }
+        const entry = scores.get(id);
+        for (const field of fields) {
+          entry.score += similarity * FIELD_WEIGHTS[field];
+          entry.fields.add(field);
+        }
+      }
+    }
+  }
+
+  const hits = [];
+  const matchedDocs = [];
+  for (const [id, entry] of scores) {
+    const doc = documents.get(id);
+    if (!matchesFilters(doc, filters)) continue;
+
+    matchedDocs.push(doc);
+    hits.push({
+      id,
+      name: doc.name,
+      averageRating: doc.averageRating,
+      reviewCount: doc.reviewCount,
+      searchScore: queryTokens.length ? entry.score / queryTokens.length : 0,
+      matchCount: entry.fields.size
+    });
+  }
+
+  hits.sort((a, b) => {
+    if (sort === 'rating') {
+      const ratingOrder = compareByRating(a, b);
+      if (ratingOrder !== 0) return ratingOrder;
+    }
+    if (Math.abs(a.searchScore - b.searchScore) > 0.01) {
+      return b.searchScore - a.searchScore;
+    }
+    if (a.matchCount !== b.matchCount) {
+      return b.matchCount - a.matchCount;
+    }
+    return a.name.localeCompare(b.name);
+  });
+
+  return {
+    hits: hits.slice(0, limit).map(({ id, searchScore, matchCount }) => ({ id, searchScore, matchCount })),
+    total: hits.length,
+    comparisons,
+    facets: buildFacets(matchedDocs)
+  };
+}
+
+/**
+ * Number of products currently indexed
+ */
+function getIndexSize() {
+  return documents.size;
+}
+
+module.exports = {
+  buildSearchIndex,
+  indexProduct,
+  removeProduct,
+  reindexProducts,
+  reindexCategory,
+  searchIndex,
+  getIndexSize
+};
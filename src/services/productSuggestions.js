@@ -0,0 +1,302 @@
+/**
+ * Product Suggestions
+ * Prefix trie backing GET /api/products/suggest (search-as-you-type)
+ *
+ * Completions are product names, category names and tags. Every word start
+ * of a completion is inserted into the trie so "lap" finds "Gaming Laptop".
+ * Entries are reference counted by the products that contribute them, so
+ * categories and tags rank by how many products carry them. Each node keeps
+ * the best completions of its subtree, updated as entries come and go, so a
+ * lookup costs the prefix length plus MAX_SUGGESTIONS. The trie is
+ * maintained by productSearchIndex whenever a product is (re)indexed.
+ */
+
+// Completions kept per node and type; suggest() never returns more
+const MAX_SUGGESTIONS = 50;
+
+// Root of the trie; see createNode
+let root = createNode('');
+
+// entryKey -> { type, text, normalized, count, productId?, categoryId? }
+const entries = new Map();
+
+/**
+ * A trie node for the prefix spelled by the path to it
+ * keys holds the entries whose word-start path ends here; top holds, per
+ * entry type, the best MAX_SUGGESTIONS entry keys of the whole subtree in
+ * suggestion order, so lookups never walk the subtree
+ */
+function createNode(prefix) {
+  return { prefix, children: new Map(), keys: new Set(), top: new Map() };
+}
+
+/**
+ * Lowercase and collapse punctuation so "Home & Garden" matches "home g"
+ */
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Every suffix of the normalized text that starts at a word boundary
+ */
+function wordStarts(normalized) {
+  const words = normalized.split(' ');
+  return words.map((_, index) => words.slice(index).join(' '));
+}
+
+/**
+ * Suggestion order at a node: completions whose text starts with the node's
+ * prefix rank above mid-text word matches, then by product count, then
+ * shorter text first
+ */
+function compareAt(node, a, b) {
+  const aLeading = a.normalized.startsWith(node.prefix);
+  const bLeading = b.normalized.startsWith(node.prefix);
+  if (aLeading !== bLeading) return aLeading ? -1 : 1;
+  if (a.count !== b.count) return b.count - a.count;
+  if (a.text.length !== b.text.length) return a.text.length - b.text.length;
+  return a.text.localeCompare(b.text) || a.type.localeCompare(b.type);
+}
+
+/**
+ * Nodes below the root along a path, as far as the path exists
+ */
+function nodesAlong(path) {
+  const nodes = [];
+  let node = root;
+  for (const char of path) {
+    node = node.children.get(char);
+    if (!node) break;
+    nodes.push(node);
+  }
+  return nodes;
+}
+
+function insertPath(path, key) {
+  let node = root;
+  for (let i = 0; i < path.length; i++) {
+    const char = path[i];
+    if (!node.children.has(char)) {
+      node.children.set(char, createNode(path.substring(0, i + 1)));
+    }
+    node = node.children.get(char);
+  }
+  node.keys.add(key);
+}
+
+function removePath(path, key) {
+  const stack = [root];
+  for (const char of path) {
+    const next = stack[stack.length - 1].children.get(char);
+    if (!next) return;
+    stack.push(next);
+  }
+  stack[stack.length - 1].keys.delete(key);
+
+  // Prune nodes that no longer lead anywhere
+  for (let i = path.length; i > 0; i--) {
+    const node = stack[i];
+    if (node.keys.size > 0 || node.children.size > 0) break;
+    stack[i - 1].children.delete(path[i - 1]);
+  }
+}
+
+/**
+ * Move an entry up the top lists after it was added or its count grew
+ * Its rank only improved, so it is inserted where it now belongs and the
+ * rest of each list keeps its order
+ */
+function promote(key) {
+  const entry = entries.get(key);
+
+  for (const path of wordStarts(entry.normalized)) {
+    for (const node of nodesAlong(path)) {
+      const current = node.top.get(entry.type) || [];
+      const last = current[current.length - 1];
+      if (current.length >= MAX_SUGGESTIONS && last !== key &&
+        compareAt(node, entry, entries.get(last)) > 0 && !current.includes(key)) {
+        continue;
+      }
+
+      const ranked = current.filter(other => other !== key);
+      let index = ranked.length;
+      while (index > 0 && compareAt(node, entry, entries.get(ranked[index - 1])) < 0) {
+        index--;
+      }
+      if (index < MAX_SUGGESTIONS) {
+        ranked.splice(index, 0, key);
+        node.top.set(entry.type, ranked.slice(0, MAX_SUGGESTIONS));
+      }
+    }
+  }
+}
+
+/**
+ * Fix the top lists that held an entry after it was removed or its count
+ * dropped
+ * The other listed entries keep their order, so only the entry's slot is
+ * refilled: a list shorter than MAX_SUGGESTIONS already holds everything
+ * below its node, and a full one takes the best unlisted entry among the
+ * node's own keys and its children's lists. Deeper nodes go first so
+ * parents read children's lists that are already current.
+ */
+function demote(key, { type, normalized }) {
+  const affected = new Set();
+  for (const path of wordStarts(normalized)) {
+    for (const node of nodesAlong(path)) {
+      if ((node.top.get(type) || []).includes(key)) {
+        affected.add(node);
+      }
+    }
+  }
+
+  const nodes = [...affected].sort((a, b) => b.prefix.length - a.prefix.length);
+  for (const node of nodes) {
+    const current = node.top.get(type);
+    const ranked = current.filter(other => other !== key);
+
+    let replacement = null;
+    if (current.length < MAX_SUGGESTIONS) {
+      replacement = entries.has(key) ? key : null;
+    } else {
+      const listed = new Set(ranked);
+      const consider = (candidate) => {
+        const entry = entries.get(candidate);
+        if (!entry || entry.type !== type || listed.has(candidate)) return;
+        if (!replacement || compareAt(node, entry, entries.get(replacement)) < 0) {
+          replacement = candidate;
+        }
+      };
+      node.keys.forEach(consider);
+      for (const child of node.children.values()) {
+        (child.top.get(type) || []).forEach(consider);
+      }
+    }
+
+    if (replacement) {
+      const entry = entries.get(replacement);
+      let index = ranked.length;
+      while (index > 0 && compareAt(node, entry, entries.get(ranked[index - 1])) < 0) {
+        index--;
+      }
+      ranked.splice(index, 0, replacement);
+    }
+
+    if (ranked.length) {
+      node.top.set(type, ranked);
+    } else {
+      node.top.delete(type);
+    }
+  }
+}
+
+function addEntry(key, entry) {
+  const existing = entries.get(key);
+  if (existing) {
+    existing.count++;
+    promote(key);
+    return;
+  }
+
+  const normalized = normalize(entry.text);
+  entries.set(key, { ...entry, normalized, count: 1 });
+  for (const path of wordStarts(normalized)) {
+    insertPath(path, key);
+  }
+  promote(key);
+}
+
+function removeEntry(key) {
+  const existing = entries.get(key);
+  if (!existing) return;
+
+  existing.count--;
+  if (existing.count > 0) {
+    demote(key, existing);
+    return;
+  }
+
+  entries.delete(key);
+  for (const path of wordStarts(existing.normalized)) {
+    removePath(path, key);
+  }
+  demote(key, existing);
+}
+
+/**
+ * Completion entries contributed by one indexed product
+ */
+function entriesFor(doc) {
+  const result = [];
+
+  if (doc.name) {
+    result.push([`product:${doc.id}`, { type: 'product', text: doc.name, productId: doc.id }]);
+  }
+  if (doc.categoryId && doc.categoryName) {
+    result.push([`category:${doc.categoryId}`, { type: 'category', text: doc.categoryName, categoryId: doc.categoryId }]);
+  }
+  for (const tag of new Set((doc.tags || []).map(tag => String(tag).toLowerCase()))) {
+    result.push([`tag:${tag}`, { type: 'tag', text: tag }]);
+  }
+
+  return result.filter(([, entry]) => normalize(entry.text));
+}
+
+/**
+ * Register the completions for an indexed product
+ */
+function addProductSuggestions(doc) {
+  for (const [key, entry] of entriesFor(doc)) {
+    addEntry(key, entry);
+  }
+}
+
+/**
+ * Drop the completions previously registered for an indexed product
+ */
+function removeProductSuggestions(doc) {
+  for (const [key] of entriesFor(doc)) {
+    removeEntry(key);
+  }
+}
+
+/**
+ * Reset the trie, used when the search index is rebuilt
+ */
+function clearSuggestions() {
+  root = createNode('');
+  entries.clear();
+}
+
+/**
+ * Ranked completions for a prefix, at most MAX_SUGGESTIONS
+ * Reads the ranked lists kept on the prefix node, so the cost depends on the
+ * prefix length and the list size, not on how many completions match
+ */
+function suggest(prefix, { limit = 10, types } = {}) {
+  const normalizedPrefix = normalize(prefix || '');
+  if (!normalizedPrefix) return [];
+
+  const nodes = nodesAlong(normalizedPrefix);
+  if (nodes.length < normalizedPrefix.length) return [];
+  const node = nodes[nodes.length - 1];
+
+  const candidates = [];
+  for (const [type, ranked] of node.top) {
+    if (types && !types.includes(type)) continue;
+    candidates.push(...ranked.map(key => entries.get(key)));
+  }
+
+  return candidates
+    .sort((a, b) => compareAt(node, a, b))
+    .slice(0, Math.min(limit, MAX_SUGGESTIONS))
+    .map(({ normalized, ...suggestion }) => suggestion);
+}
+
+module.exports = {
+  addProductSuggestions,
+  removeProductSuggestions,
+  clearSuggestions,
+  suggest
+};
@@ -0,0 +1,172 @@
+/**
+ * Product Variant Service
+ * Variants of a product along its option axes, e.g. size and color
+ *
+ * A product lists its axes in Product.options; each variant picks one value
+ * per axis and carries its own SKU, stock and optionally price and image.
+ * Once a product has active variants, orders and carts must name the
+ * variant, and stock is taken from it rather than from the product.
+ */
+
+const { Op } = require('sequelize');
+const { ProductVariant, Product } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+// Fields a client may set; productId comes from the route
+const EDITABLE_FIELDS = ['sku', 'options', 'price', 'stock', 'imageUrl', 'isActive'];
+
+function pickEditable(body = {}) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  }
+  return values;
+}
+
+/**
+ * Validate option axes for Product.options
+ * Throws 400 unless it is [{ name, values: [string, ...] }] with unique names
+ */
+function normalizeOptionAxes(axes) {
+  if (!Array.isArray(axes)) {
+    throw createHttpError(400, 'options must be an array of { name, values }');
+  }
+
+  const names = new Set();
+  return axes.map(axis => {
+    const name = String(axis?.name || '').trim();
+    const values = Array.isArray(axis?.values) ? axis.values.map(value => String(value).trim()).filter(Boolean) : [];
+    if (!name || values.length === 0) {
+      throw createHttpError(400, 'Each option needs a name and at least one value');
+    }
+    if (names.has(name)) {
+      throw createHttpError(400, `Option ${name} is listed twice`);
+    }
+    names.add(name);
+    return { name, values: [...new Set(values)] };
+  });
+}
+
+/**
+ * Check a variant picks exactly one allowed value for each of the product's axes
+ */
+function assertValidVariantOptions(product, options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw createHttpError(400, 'Variant options must be an object of option name to value');
+  }
+
+  const axes = product.options || [];
+  const unknown = Object.keys(options).filter(name => !axes.some(axis => axis.name === name));
+  if (unknown.length) {
+    throw createHttpError(400, `Unknown options: ${unknown.join(', ')}`, {
+      options: axes.map(axis => axis.name)
+    });
+  }
+
+  for (const axis of axes) {
+    if (!axis.values.includes(options[axis.name])) {
+      throw createHttpError(400, `Option ${axis.name} must be one of: ${axis.values.join(', ')}`);
+    }
+  }
+}
+
+function sameOptions(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+async function assertUniqueOptions(productId, options, exceptId) {
+  const siblings = await ProductVariant.findAll({
+    where: {
+      productId,
+      isActive: true,
+      ...(exceptId && { id: { [Op.ne]: exceptId } })
+    }
+  });
+  const duplicate = siblings.find(variant => sameOptions(variant.options, options));
+  if (duplicate) {
+    throw createHttpError(409, 'An active variant with these options already exists', { variantId: duplicate.id });
+  }
+}
+
+function generateSku(product, options) {
+  const suffix = Object.values(options).map(value => value.toUpperCase().replace(/[^A-Z0-9]+/g, '')).join('-');
+  const base = product.sku || `SKU-${Date.now()}`;
+  return suffix ? `${base}-${suffix}` : `${base}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+}
+
+/**
+ * Variants of a product, active ones only unless includeInactive
+ */
+async function listVariants(productId, { includeInactive = false } = {}) {
+  return ProductVariant.findAll({
+    where: { productId, ...(!includeInactive && { isActive: true }) },
+    order: [['createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Add a variant to a product
+ * sku defaults to the product's SKU followed by the option values. Returns
+ * null when the product does not exist.
+ */
+async function createVariant(productId, body) {
+  const product = await Product.findByPk(productId);
+  if (!product) return null;
+
+  const values = pickEditable(body);
+  values.options = values.options || {};
+  assertValidVariantOptions(product, values.options);
+  await assertUniqueOptions(productId, values.options);
+
+  return ProductVariant.create({
+    ...values,
+    productId,
+    sku: values.sku || generateSku(product, values.options)
+  });
+}
+
+/**
+ * Update a variant of a product
+ * Returns null when the product has no such variant
+ */
+async function updateVariant(productId, variantId, body) {
+  const variant = await ProductVariant.findOne({
+    where: { id: variantId, productId },
+    include: [{ model: Product }]
+  });
+  if (!variant) return null;
+
+  const values = pickEditable(body);
+  if (values.options !== undefined) {
+    assertValidVariantOptions(variant.Product, values.options);
+  }
+  if (values.options !== undefined || values.isActive === true) {
+    await assertUniqueOptions(productId, values.options || variant.options, variant.id);
+  }
+
+  await variant.update(values);
+  return variant;
+}
+
+/**
+ * Stop selling a variant; it is kept so past order items still resolve
+ * Returns null when the product has no such variant
+ */
+async function deactivateVariant(productId, variantId) {
+  const variant = await ProductVariant.findOne({ where: { id: variantId, productId } });
+  if (!variant) return null;
+
+  await variant.update({ isActive: false });
+  return variant;
+}
+
+module.exports = {
+  normalizeOptionAxes,
+  listVariants,
+  createVariant,
+  updateVariant,
+  deactivateVariant
+};
@@ -0,0 +1,209 @@
+/**
+ * Promotions
+ * Coupon validation, discount calculation and redemption
+ *
+ * Discounts are computed per order line so every OrderItem carries its own
+ * share and totalAmount can be reconciled line by line. Coupons apply in a
+ * fixed order (buy X get Y, then percentage, then fixed amount), each on
+ * what is left of the line after the previous ones, and no line can be
+ * discounted below zero.
+ */
+
+const { Op } = require('sequelize');
+const { Coupon, CouponRedemption } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+
+const APPLICATION_ORDER = ['buy_x_get_y', 'percentage', 'fixed_amount', 'free_shipping'];
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function normalizeCodes(codes) {
+  const list = Array.isArray(codes) ? codes : [codes];
+  return [...new Set(list.filter(Boolean).map(code => String(code).trim().toUpperCase()))];
+}
+
+/**
+ * Reject coupons that are inactive, outside their window or used up
+ */
+async function assertCouponUsable(coupon, { userId, now, transaction }) {
+  if (!coupon.isActive) {
+    throw createHttpError(400, `Coupon ${coupon.code} is not active`);
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw createHttpError(400, `Coupon ${coupon.code} is not valid yet`);
+  }
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw createHttpError(400, `Coupon ${coupon.code} has expired`);
+  }
+  if (Number.isInteger(coupon.usageLimit) && coupon.usageCount >= coupon.usageLimit) {
+    throw createHttpError(400, `Coupon ${coupon.code} has reached its usage limit`);
+  }
+  if (Number.isInteger(coupon.usageLimitPerUser) && userId) {
+    const used = await CouponRedemption.count({
+      where: { couponId: coupon.id, userId },
+      transaction
+    });
+    if (used >= coupon.usageLimitPerUser) {
+      throw createHttpError(400, `Coupon ${coupon.code} has already been used the maximum number of times`);
+    }
+  }
+}
+
+/**
+ * Discount per eligible line for one coupon, given what is left on each line
+ * Returns Map(line key -> amount)
+ */
+function couponLineDiscounts(coupon, eligibleLines, remaining) {
+  const discounts = new Map();
+  const value = parseFloat(coupon.value) || 0;
+
+  if (coupon.type === 'percentage') {
+    for (const line of eligibleLines) {
+      discounts.set(line.key, roundMoney(remaining.get(line.key) * value / 100));
+    }
+  }
+
+  if (coupon.type === 'buy_x_get_y') {
+    const groupSize = coupon.buyQuantity + coupon.getQuantity;
+    for (const line of eligibleLines) {
+      const freeUnits = Math.floor(line.quantity / groupSize) * coupon.getQuantity;
+      if (freeUnits > 0) {
+        discounts.set(line.key, roundMoney(freeUnits * line.price));
+      }
+    }
+  }
+
+  if (coupon.type === 'fixed_amount') {
+    // Spread the amount across eligible lines in proportion to what is left on them
+    const base = eligibleLines.reduce((sum, line) => sum + remaining.get(line.key), 0);
+    const amount = Math.min(value, base);
+    let allocated = 0;
+    eligibleLines.forEach((line, index) => {
+      const share = index === eligibleLines.length - 1 ?
+        roundMoney(amount - allocated) :
+        roundMoney(amount * remaining.get(line.key) / base);
+      allocated += share;
+      discounts.set(line.key, share);
+    });
+  }
+
+  return discounts;
+}
+
+/**
+ * Validate coupon codes and compute the discounts for a set of order lines
+ * lines: [{ key, productId, categoryId, price, quantity, subtotal }], where key
+ * identifies the line (a product, or a product variant)
+ * Pass lock: true inside the order transaction so usage limits hold under
+ * concurrent checkouts.
+ * Returns { coupons, applied, lineDiscounts, discountAmount, freeShipping },
+ * lineDiscounts being Map(line key -> amount)
+ */
+async function applyCoupons(codes, lines, { userId, transaction, lock = false } = {}) {
+  const normalizedCodes = normalizeCodes(codes);
+  const result = {
+    coupons: [],
+    applied: [],
+    lineDiscounts: new Map(),
+    discountAmount: 0,
+    freeShipping: false
+  };
+  if (normalizedCodes.length === 0) return result;
+
+  const coupons = await Coupon.findAll({
+    where: { code: { [Op.in]: normalizedCodes } },
+    order: [['id', 'ASC']],
+    ...(lock && transaction && { lock: transaction.LOCK.UPDATE }),
+    transaction
+  });
+
+  for (const code of normalizedCodes) {
+    if (!coupons.some(coupon => coupon.code === code)) {
+      throw createHttpError(404, `Coupon ${code} not found`);
+    }
+  }
+
+  if (coupons.length > 1) {
+    const exclusive = coupons.find(coupon => !coupon.stackable);
+    if (exclusive) {
+      throw createHttpError(400, `Coupon ${exclusive.code} cannot be combined with other coupons`);
+    }
+  }
+
+  const now = new Date();
+  for (const coupon of coupons) {
+    await assertCouponUsable(coupon, { userId, now, transaction });
+  }
+
+  const remaining = new Map(lines.map(line => [line.key, line.subtotal]));
+  const sorted = [...coupons].sort((a, b) => APPLICATION_ORDER.indexOf(a.type) - APPLICATION_ORDER.indexOf(b.type));
+
+  for (const coupon of sorted) {
+    const eligibleLines = lines.filter(line => !coupon.categoryId || line.categoryId === coupon.categoryId);
+    const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.subtotal, 0);
+
+    if (eligibleLines.length === 0 || eligibleSubtotal < parseFloat(coupon.minSubtotal || 0)) {
+      throw createHttpError(400, `Order does not qualify for coupon ${coupon.code}`);
+    }
+
+    if (coupon.type === 'free_shipping') {
+      result.freeShipping = true;
+      result.applied.push({ couponId: coupon.id, code: coupon.code, type: coupon.type, discountAmount: 0 });
+      continue;
+    }
+
+    let couponTotal = 0;
+    for (const [key, rawAmount] of couponLineDiscounts(coupon, eligibleLines, remaining)) {
+      const amount = Math.min(rawAmount, remaining.get(key));
+      remaining.set(key, roundMoney(remaining.get(key) - amount));
+      result.lineDiscounts.set(key, roundMoney((result.lineDiscounts.get(key) || 0) + amount));
+      couponTotal += amount;
+    }
+
+    result.applied.push({
+      couponId: coupon.id,
+      code: coupon.code,
+      type: coupon.type,
+      discountAmount: roundMoney(couponTotal)
+    });
+  }
+
+  result.coupons = coupons;
+  result.discountAmount = roundMoney([...result.lineDiscounts.values()].reduce((sum, amount) => sum + amount, 0));
+  return result;
+}
+
+/**
+ * Count the applied coupons against their limits for an order
+ */
+async function redeemCoupons(promotion, { userId, orderId, transaction }) {
+  for (const applied of promotion.applied) {
+    await Coupon.increment('usageCount', { where: { id: applied.couponId }, transaction });
+    await CouponRedemption.create({
+      couponId: applied.couponId,
+      userId,
+      orderId,
+      discountAmount: applied.discountAmount
+    }, { transaction });
+  }
+}
+
+/**
+ * Give coupon usage back when an order is cancelled
+ */
+async function releaseCoupons(orderId, { transaction }) {
+  const redemptions = await CouponRedemption.findAll({ where: { orderId }, transaction });
+  for (const redemption of redemptions) {
+    await Coupon.decrement('usageCount', { where: { id: redemption.couponId }, transaction });
+    await redemption.destroy({ transaction });
+  }
+}
+
+module.exports = {
+  roundMoney,
+  applyCoupons,
+  redeemCoupons,
+  releaseCoupons
+};
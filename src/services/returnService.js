@@ -0,0 +1,301 @@
+/**
+ * Return Service
+ * Return merchandise authorizations (RMAs) for delivered orders
+ *
+ * A customer requests a return for some quantity of an order's items; it is
+ * then approved or rejected, received (putting the units back into stock)
+ * and finally refunded through the payment service. Each item refunds what
+ * was actually paid for it: its price after coupon discounts plus its share
+ * of the order's tax. Every step is also recorded on the order's audit trail.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize, Order, OrderItem, OrderReturn, OrderReturnItem, Product, ProductVariant } = require('../models');
+const { createHttpError } = require('../utils/httpError');
+const {
+  RETURN_STATUS_TIMESTAMPS,
+  CLOSED_RETURN_STATUSES,
+  getAllowedReturnTransitions,
+  canTransitionReturn
+} = require('./returnStatus');
+const { diffValues, recordOrderEvent } = require('./orderEvents');
+const { applyRefund, assertRefundSucceeded } = require('./paymentService');
+const { roundMoney } = require('./promotions');
+const { reindexProducts } = require('./productSearchIndex');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+function generateRmaNumber() {
+  return `RMA-${Date.now()}-${Math.random().toString(36).substring(7).toUpperCase()}`;
+}
+
+/**
+ * Validate requested return lines and merge repeats
+ * Returns Map(orderItemId -> quantity)
+ */
+function normalizeReturnItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createHttpError(400, 'Return must contain at least one item');
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = parseInt(item?.quantity);
+    if (!item?.orderItemId || !Number.isInteger(quantity) || quantity < 1) {
+      throw createHttpError(400, 'Each item needs an orderItemId and a positive integer quantity');
+    }
+    quantities.set(item.orderItemId, (quantities.get(item.orderItemId) || 0) + quantity);
+  }
+
+  return quantities;
+}
+
+/**
+ * Units of each order item already held by open or completed returns
+ * Returns Map(orderItemId -> quantity)
+ */
+async function returnedQuantities(orderId, transaction) {
+  const returnItems = await OrderReturnItem.findAll({
+    include: [{
+      model: OrderReturn,
+      attributes: [],
+      where: { orderId, status: { [Op.notIn]: CLOSED_RETURN_STATUSES } }
+    }],
+    transaction
+  });
+
+  const quantities = new Map();
+  for (const item of returnItems) {
+    quantities.set(item.orderItemId, (quantities.get(item.orderItemId) || 0) + item.quantity);
+  }
+  return quantities;
+}
+
+/**
+ * Amount to refund for some units of an order item
+ */
+function itemRefundAmount(order, orderItem, quantity, orderItems) {
+  const lineNet = parseFloat(orderItem.subtotal) - parseFloat(orderItem.discountAmount || 0);
+  const amount = lineNet * quantity / orderItem.quantity;
+
+  // Orders created before pricing stored a subtotal fall back to the item sum
+  const merchandiseNet = parseFloat(order.subtotal) > 0 ?
+    parseFloat(order.subtotal) - parseFloat(order.discountAmount || 0) :
+    orderItems.reduce((sum, item) => sum + parseFloat(item.subtotal) - parseFloat(item.discountAmount || 0), 0);
+  const tax = merchandiseNet > 0 ? parseFloat(order.taxAmount || 0) * amount / merchandiseNet : 0;
+
+  return roundMoney(amount + tax);
+}
+
+/**
+ * Load a return of an order with its items
+ */
+async function getReturn(orderId, returnId) {
+  return OrderReturn.findOne({
+    where: { id: returnId, orderId },
+    include: [{
+      model: OrderReturnItem,
+      as: 'items',
+      include: [
+        { model: Product, attributes: ['id', 'name', 'sku'] },
+        { model: ProductVariant, as: 'variant', attributes: ['id', 'sku', 'options'] }
+      ]
+    }]
+  });
+}
+
+/**
+ * Returns of an order, newest first
+ */
+async function getOrderReturns(orderId) {
+  return OrderReturn.findAll({
+    where: { orderId },
+    include: [{ model: OrderReturnItem, as: 'items' }],
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Open a return for items of a delivered order
+ * Returns null when the order does not exist, throws 409 when the order is
+ * not returnable or more units are requested than are left to return
+ */
+async function requestReturn(orderId, { items, reason, actor = 'system' } = {}) {
+  const quantities = normalizeReturnItems(items);
+
+  const orderReturn = await sequelize.transaction(async (transaction) => {
+    // Locking the order serializes return requests against it
+    const order = await Order.findByPk(orderId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!order) return null;
+
+    if (order.status !== 'delivered') {
+      throw createHttpError(409, 'Only delivered orders can be returned', { currentStatus: order.status });
+    }
+    const windowEnds = order.deliveredAt && new Date(order.deliveredAt.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (windowEnds && windowEnds < new Date()) {
+      throw createHttpError(409, 'Return window has closed', {
+        deliveredAt: order.deliveredAt,
+        returnWindowDays: RETURN_WINDOW_DAYS
+      });
+    }
+
+    const orderItems = await OrderItem.findAll({ where: { orderId }, transaction });
+    const orderItemsById = new Map(orderItems.map(item => [item.id, item]));
+
+    for (const orderItemId of quantities.keys()) {
+      if (!orderItemsById.has(orderItemId)) {
+        throw createHttpError(400, `Order item ${orderItemId} does not belong to this order`);
+      }
+    }
+
+    const alreadyReturned = await returnedQuantities(orderId, transaction);
+    const overReturned = [];
+    for (const [orderItemId, quantity] of quantities) {
+      const returnable = orderItemsById.get(orderItemId).quantity - (alreadyReturned.get(orderItemId) || 0);
+      if (quantity > returnable) {
+        overReturned.push({ orderItemId, requested: quantity, returnable });
+      }
+    }
+    if (overReturned.length) {
+      throw createHttpError(409, 'Requested quantity exceeds what can be returned', { items: overReturned });
+    }
+
+    const returnItems = [...quantities].map(([orderItemId, quantity]) => {
+      const orderItem = orderItemsById.get(orderItemId);
+      return {
+        orderItemId,
+        productId: orderItem.productId,
+        variantId: orderItem.variantId,
+        quantity,
+        refundAmount: itemRefundAmount(order, orderItem, quantity, orderItems)
+      };
+    });
+    const refundAmount = roundMoney(returnItems.reduce((sum, item) => sum + item.refundAmount, 0));
+
+    const created = await OrderReturn.create({
+      rmaNumber: generateRmaNumber(),
+      orderId,
+      status: 'requested',
+      reason,
+      refundAmount
+    }, { transaction });
+
+    await OrderReturnItem.bulkCreate(
+      returnItems.map(item => ({ returnId: created.id, ...item })),
+      { transaction }
+    );
+
+    await recordOrderEvent(orderId, 'return_requested', {
+      actor,
+      changes: diffValues({}, {
+        return: {
+          id: created.id,
+          rmaNumber: created.rmaNumber,
+          refundAmount,
+          items: returnItems.map(({ orderItemId, quantity }) => ({ orderItemId, quantity }))
+        }
+      })
+    }, transaction);
+
+    return created;
+  });
+
+  return orderReturn && getReturn(orderId, orderReturn.id);
+}
+
+function assertReturnTransition(orderReturn, status) {
+  if (!canTransitionReturn(orderReturn.status, status)) {
+    throw createHttpError(409, `Cannot change return status from ${orderReturn.status} to ${status}`, {
+      currentStatus: orderReturn.status,
+      allowedTransitions: getAllowedReturnTransitions(orderReturn.status)
+    });
+  }
+}
+
+/**
+ * Move a return to a new status
+ * Receiving puts the returned units back into stock; refunding sends the
+ * return's refundAmount through the payment service. Returns null when the
+ * return does not exist, throws 409 for transitions the state machine does
+ * not allow and 502 when the provider refuses the refund.
+ */
+async function transitionReturn(orderId, returnId, status, { notes, actor = 'system' } = {}) {
+  let refund;
+  let restockedIds = [];
+
+  await sequelize.transaction(async (transaction) => {
+    const orderReturn = await OrderReturn.findOne({
+      where: { id: returnId, orderId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!orderReturn) return;
+
+    assertReturnTransition(orderReturn, status);
+
+    const updates = { status };
+    if (RETURN_STATUS_TIMESTAMPS[status]) {
+      updates[RETURN_STATUS_TIMESTAMPS[status]] = new Date();
+    }
+    if (notes !== undefined) {
+      updates.resolutionNotes = notes;
+    }
+
+    if (status === 'received') {
+      const items = await OrderReturnItem.findAll({
+        where: { returnId },
+        order: [['productId', 'ASC']],
+        transaction
+      });
+      for (const item of items) {
+        const model = item.variantId ? ProductVariant : Product;
+        await model.increment('stock', {
+          by: item.quantity,
+          where: { id: item.variantId || item.productId },
+          transaction
+        });
+      }
+      restockedIds = items.map(item => item.productId);
+    }
+
+    if (status === 'refunded') {
+      ({ refund } = await applyRefund(orderId, {
+        amount: orderReturn.refundAmount,
+        reason: `Return ${orderReturn.rmaNumber}`,
+        actor
+      }, transaction));
+
+      // Keep the failed attempt on record and leave the return as received
+      if (refund.status === 'failed') return;
+      updates.refundPaymentId = refund.id;
+    }
+
+    const before = {};
+    for (const field of Object.keys(updates)) {
+      before[field] = orderReturn.get(field);
+    }
+    await orderReturn.update(updates, { transaction });
+
+    await recordOrderEvent(orderId, `return_${status}`, {
+      actor,
+      changes: {
+        return: { before: null, after: { id: orderReturn.id, rmaNumber: orderReturn.rmaNumber } },
+        ...diffValues(before, updates)
+      }
+    }, transaction);
+  });
+
+  await reindexProducts(restockedIds);
+  assertRefundSucceeded(refund);
+  return getReturn(orderId, returnId);
+}
+
+module.exports = {
+  getReturn,
+  getOrderReturns,
+  requestReturn,
+  transitionReturn
+};
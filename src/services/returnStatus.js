@@ -0,0 +1,43 @@
+/**
+ * Return Status State Machine
+ * requested -> approved -> received -> refunded
+ * A request can be rejected before approval and cancelled until the goods
+ * arrive; rejected, refunded and cancelled are final.
+ */
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded', 'cancelled'];
+
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected', 'cancelled'],
+  approved: ['received', 'cancelled'],
+  received: ['refunded'],
+  rejected: [],
+  refunded: [],
+  cancelled: []
+};
+
+// OrderReturn columns stamped when a return enters a status
+const RETURN_STATUS_TIMESTAMPS = {
+  approved: 'approvedAt',
+  received: 'receivedAt',
+  refunded: 'refundedAt'
+};
+
+// Returns in these statuses no longer hold their items
+const CLOSED_RETURN_STATUSES = ['rejected', 'cancelled'];
+
+function getAllowedReturnTransitions(status) {
+  return RETURN_TRANSITIONS[status] || [];
+}
+
+function canTransitionReturn(from, to) {
+  return getAllowedReturnTransitions(from).includes(to);
+}
+
+module.exports = {
+  RETURN_STATUSES,
+  RETURN_STATUS_TIMESTAMPS,
+  CLOSED_RETURN_STATUSES,
+  getAllowedReturnTransitions,
+  canTransitionReturn
+};
@@ -0,0 +1,225 @@
+/**
+ * Review Service
+ * Product reviews, their moderation and the rating aggregates on Product
+ *
+ * A user writes at most one review per product. verifiedPurchase is derived
+ * from the user's delivered order items when the review is written or
+ * edited. Only approved reviews are shown and counted; with
+ * REVIEWS_REQUIRE_APPROVAL=true new and edited reviews wait for a moderator.
+ *
+ * Product.averageRating and reviewCount are recomputed inside every review
+ * write, after locking the product row, so concurrent reviews of one product
+ * cannot leave stale aggregates behind.
+ */
+
+const { fn, col } = require('sequelize');
+const { sequelize, Review, Product, Category, Order, OrderItem } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { indexProduct } = require('./productSearchIndex');
+
+const REVIEWS_REQUIRE_APPROVAL = process.env.REVIEWS_REQUIRE_APPROVAL === 'true';
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Fields the author may set
+const EDITABLE_FIELDS = ['rating', 'title', 'body'];
+
+function pickEditable(body = {}) {
+  const values = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      values[field] = typeof body[field] === 'string' ? body[field].trim() : body[field];
+    }
+  }
+
+  if (values.rating !== undefined) {
+    const rating = Number(values.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw createHttpError(400, 'rating must be a whole number from 1 to 5');
+    }
+    values.rating = rating;
+  }
+  return values;
+}
+
+async function hasDeliveredPurchase(userId, productId, transaction) {
+  const count = await OrderItem.count({
+    where: { productId },
+    include: [{ model: Order, where: { userId, status: 'delivered' }, attributes: [] }],
+    transaction
+  });
+  return count > 0;
+}
+
+async function lockProduct(productId, transaction) {
+  return Product.findByPk(productId, {
+    attributes: ['id', 'isActive'],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+}
+
+/**
+ * Recompute averageRating and reviewCount from the approved reviews
+ * Call with the product row locked
+ */
+async function refreshProductRating(productId, transaction) {
+  const [stats] = await Review.findAll({
+    where: { productId, status: 'approved' },
+    attributes: [
+      [fn('AVG', col('rating')), 'averageRating'],
+      [fn('COUNT', col('id')), 'reviewCount']
+    ],
+    raw: true,
+    transaction
+  });
+
+  await Product.update({
+    averageRating: Math.round((parseFloat(stats.averageRating) || 0) * 100) / 100,
+    reviewCount: parseInt(stats.reviewCount) || 0
+  }, { where: { id: productId }, silent: true, transaction });
+}
+
+// The search index and product cache carry the aggregates too
+async function refreshProductViews(productId) {
+  const product = await Product.findByPk(productId, { include: [Category] });
+  await indexProduct(product);
+
+  const redis = await getRedisClient();
+  await redis.del(`product:${productId}`);
+}
+
+/**
+ * A review of a product, whatever its status
+ */
+async function getReview(productId, reviewId) {
+  return Review.findOne({ where: { id: reviewId, productId } });
+}
+
+/**
+ * Review a product as a user
+ * Returns null when the product does not exist or is not for sale, throws
+ * 409 when the user already reviewed it.
+ */
+async function createReview(productId, userId, body) {
+  const values = pickEditable(body);
+  if (values.rating === undefined) {
+    throw createHttpError(400, 'rating is required');
+  }
+
+  const review = await sequelize.transaction(async (transaction) => {
+    const product = await lockProduct(productId, transaction);
+    if (!product || product.isActive === false) return null;
+
+    const existing = await Review.findOne({ where: { productId, userId }, transaction });
+    if (existing) {
+      throw createHttpError(409, 'You have already reviewed this product', { reviewId: existing.id });
+    }
+
+    const created = await Review.create({
+      ...values,
+      productId,
+      userId,
+      verifiedPurchase: await hasDeliveredPurchase(userId, productId, transaction),
+      status: REVIEWS_REQUIRE_APPROVAL ? 'pending' : 'approved'
+    }, { transaction });
+
+    await refreshProductRating(productId, transaction);
+    return created;
+  });
+  if (!review) return null;
+
+  await refreshProductViews(productId);
+  return review;
+}
+
+/**
+ * Edit a review's rating, title or body
+ * Returns null when the product has no such review
+ */
+async function updateReview(productId, reviewId, body) {
+  const values = pickEditable(body);
+
+  const review = await sequelize.transaction(async (transaction) => {
+    await lockProduct(productId, transaction);
+
+    const existing = await Review.findOne({ where: { id: reviewId, productId }, transaction });
+    if (!existing) return null;
+
+    await existing.update({
+      ...values,
+      verifiedPurchase: await hasDeliveredPurchase(existing.userId, productId, transaction),
+      ...(REVIEWS_REQUIRE_APPROVAL && existing.status === 'approved' && { status: 'pending' })
+    }, { transaction });
+
+    await refreshProductRating(productId, transaction);
+    return existing;
+  });
+  if (!review) return null;
+
+  await refreshProductViews(productId);
+  return review;
+}
+
+/**
+ * Delete a review
+ * Returns false when the product has no such review
+ */
+async function deleteReview(productId, reviewId) {
+  const deleted = await sequelize.transaction(async (transaction) => {
+    await lockProduct(productId, transaction);
+
+    const count = await Review.destroy({ where: { id: reviewId, productId }, transaction });
+    if (count > 0) {
+      await refreshProductRating(productId, transaction);
+    }
+    return count > 0;
+  });
+
+  if (deleted) {
+    await refreshProductViews(productId);
+  }
+  return deleted;
+}
+
+/**
+ * Approve, reject or return a review to pending
+ * Returns null when the review does not exist
+ */
+async function moderateReview(reviewId, { status, moderationNote } = {}) {
+  if (!REVIEW_STATUSES.includes(status)) {
+    throw createHttpError(400, `Invalid status, expected one of: ${REVIEW_STATUSES.join(', ')}`);
+  }
+
+  const review = await Review.findByPk(reviewId, { attributes: ['id', 'productId'] });
+  if (!review) return null;
+
+  const moderated = await sequelize.transaction(async (transaction) => {
+    await lockProduct(review.productId, transaction);
+
+    const locked = await Review.findByPk(reviewId, { transaction });
+    if (!locked) return null;
+
+    await locked.update({
+      status,
+      moderationNote: moderationNote || null,
+      moderatedAt: new Date()
+    }, { transaction });
+
+    await refreshProductRating(review.productId, transaction);
+    return locked;
+  });
+  if (!moderated) return null;
+
+  await refreshProductViews(review.productId);
+  return moderated;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  getReview,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview
+};
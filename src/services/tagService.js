@@ -0,0 +1,126 @@
+/**
+ * Tag Service
+ * Product tags with their product counts, and renames/removals across the catalog
+ *
+ * Tags live in the Product.tags array column (GIN indexed), stored
+ * lowercased. Renaming or removing a tag rewrites every product carrying it
+ * in one statement and then refreshes those products in the search index and
+ * the product cache.
+ */
+
+const { QueryTypes } = require('sequelize');
+const { sequelize, Product, Category } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { indexProduct } = require('./productSearchIndex');
+
+function normalizeTag(tag) {
+  return String(tag || '').trim().toLowerCase();
+}
+
+/**
+ * Parse a comma-separated tag list such as ?tags=sale,new
+ */
+function parseTagList(value) {
+  return [...new Set(String(value || '').split(',').map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Tags with the number of products carrying them, most used first
+ * Only active products count unless includeInactive
+ */
+async function listTags({ prefix, includeInactive = false } = {}) {
+  const conditions = [];
+  const replacements = {};
+
+  if (!includeInactive) {
+    conditions.push('p."isActive" = true');
+  }
+  if (prefix) {
+    conditions.push('tag LIKE :prefix');
+    replacements.prefix = `${normalizeTag(prefix).replace(/[\\%_]/g, '\\$&')}%`;
+  }
+
+  return sequelize.query(`
+    SELECT tag AS name, COUNT(*)::int AS count
+    FROM "Products" p, unnest(p.tags) AS tag
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    GROUP BY tag
+    ORDER BY count DESC, name ASC
+  `, {
+    replacements,
+    type: QueryTypes.SELECT
+  });
+}
+
+async function refreshProducts(ids) {
+  if (ids.length === 0) return;
+
+  const products = await Product.findAll({ where: { id: ids }, include: [Category] });
+  for (const product of products) {
+    await indexProduct(product);
+  }
+
+  const redis = await getRedisClient();
+  await redis.del(ids.map(id => `product:${id}`));
+}
+
+/**
+ * Rename a tag on every product; products that already carry the new name
+ * just lose the old one, so renaming also merges tags
+ * Returns the number of products changed, 0 when no product has the tag
+ */
+async function renameTag(tag, newName) {
+  const from = normalizeTag(tag);
+  const to = normalizeTag(newName);
+  if (!to) {
+    throw createHttpError(400, 'name is required');
+  }
+  if (from === to) {
+    throw createHttpError(400, 'name must differ from the current tag');
+  }
+
+  const rows = await sequelize.query(`
+    UPDATE "Products"
+    SET tags = CASE
+      WHEN :to = ANY(tags) THEN array_remove(tags, :from)
+      ELSE array_replace(tags, :from, :to)
+    END
+    WHERE tags @> ARRAY[:from]::varchar[]
+    RETURNING id
+  `, {
+    replacements: { from, to },
+    type: QueryTypes.SELECT
+  });
+
+  const ids = rows.map(row => row.id);
+  await refreshProducts(ids);
+  return ids.length;
+}
+
+/**
+ * Remove a tag from every product
+ * Returns the number of products changed, 0 when no product has the tag
+ */
+async function deleteTag(tag) {
+  const rows = await sequelize.query(`
+    UPDATE "Products"
+    SET tags = array_remove(tags, :tag)
+    WHERE tags @> ARRAY[:tag]::varchar[]
+    RETURNING id
+  `, {
+    replacements: { tag: normalizeTag(tag) },
+    type: QueryTypes.SELECT
+  });
+
+  const ids = rows.map(row => row.id);
+  await refreshProducts(ids);
+  return ids.length;
+}
+
+module.exports = {
+  parseTagList,
+  listTags,
+  renameTag,
+  deleteTag
+};
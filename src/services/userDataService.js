@@ -0,0 +1,141 @@
+/**
+ * User Data Service
+ * GDPR data export and right to erasure
+ *
+ * An export bundles everything stored about a user: the profile, addresses,
+ * every order with its items and their product reviews. Erasure anonymizes
+ * the user in place instead of deleting rows, so orders keep their totals
+ * for accounting; the personal fields are overwritten and order shipping
+ * addresses are reduced to the country and state the tax was charged for.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { sequelize, User, Address, Order, OrderItem, Product, Review } = require('../models');
+const { getRedisClient } = require('../utils/redis');
+const { createHttpError } = require('../utils/httpError');
+const { revokeUserTokens } = require('./authTokens');
+const { clearLoginFailures } = require('./loginLockout');
+const { recordOrderEvent } = require('./orderEvents');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * Everything stored about a user as one JSON-ready object
+ * Returns null when the user does not exist
+ */
+async function exportUserData(userId) {
+  const user = await User.findByPk(userId, {
+    attributes: { exclude: ['password'] }
+  });
+  if (!user) return null;
+
+  const addresses = await Address.findAll({
+    where: { userId },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const orders = await Order.findAll({
+    where: { userId },
+    include: [{
+      model: OrderItem,
+      include: [{ model: Product, attributes: ['id', 'name', 'sku'] }]
+    }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const reviews = await Review.findAll({
+    where: { userId },
+    include: [{ model: Product, attributes: ['id', 'name', 'sku'] }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profile: user.toJSON(),
+    addresses: addresses.map(address => address.toJSON()),
+    orders: orders.map(order => order.toJSON()),
+    reviews: reviews.map(review => review.toJSON())
+  };
+}
+
+// Country and state stay on erased orders so the tax charged can be audited
+function scrubShippingAddress(address) {
+  if (!address || typeof address !== 'object') return {};
+  return {
+    ...(address.country && { country: address.country }),
+    ...(address.state && { state: address.state })
+  };
+}
+
+/**
+ * Anonymize a user and the personal data on their orders
+ * The account is deactivated and every session ends. Returns null when the
+ * user does not exist, throws 409 when it was already erased.
+ */
+async function eraseUser(userId, { actor = 'system' } = {}) {
+  const erased = await sequelize.transaction(async (transaction) => {
+    const user = await User.findByPk(userId, {
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    if (!user) return null;
+
+    if (user.erasedAt) {
+      throw createHttpError(409, 'User data has already been erased', { erasedAt: user.erasedAt });
+    }
+
+    const previousUsername = user.username;
+    const randomPassword = crypto.randomBytes(32).toString('hex');
+    await user.update({
+      username: `erased-${user.id}`,
+      email: `erased-${user.id}@erased.invalid`,
+      password: await bcrypt.hash(randomPassword, 10),
+      firstName: 'Erased',
+      lastName: 'User',
+      phoneNumber: null,
+      address: {},
+      isActive: false,
+      erasedAt: new Date()
+    }, { transaction });
+
+    // Orders keep their scrubbed copy; the saved addresses go entirely
+    await Address.destroy({ where: { userId }, transaction });
+
+    const orders = await Order.findAll({
+      where: { userId },
+      attributes: ['id', 'shippingAddress'],
+      transaction
+    });
+    for (const order of orders) {
+      await order.update({
+        shippingAddress: scrubShippingAddress(order.shippingAddress),
+        notes: null
+      }, { transaction });
+
+      // Field names only; the erased values must not be copied into the trail
+      await recordOrderEvent(order.id, 'personal_data_erased', {
+        actor,
+        changes: { erasedFields: { before: null, after: ['shippingAddress', 'notes'] } }
+      }, transaction);
+    }
+
+    return { user, previousUsername };
+  });
+  if (!erased) return null;
+
+  const { user, previousUsername } = erased;
+  await revokeUserTokens(user.id);
+  await clearLoginFailures(previousUsername);
+
+  const redis = await getRedisClient();
+  await redis.del(`user:${user.id}`);
+
+  return user;
+}
+
+module.exports = {
+  exportUserData,
+  eraseUser
+};
@@ -0,0 +1,103 @@
+const { createHttpError } = require('./httpError');
+
+// Spreadsheets run cells starting with =, +, - or @ as formulas; text that
+// already starts with quotes before one is escaped too so it round-trips
+const FORMULA_LIKE = /^'*[=+\-@]/;
+
+/**
+ * Undo the quote formatCsvField puts in front of formula-like text
+ */
+function unescapeFormula(field) {
+  return field.startsWith("'") && FORMULA_LIKE.test(field) ? field.substring(1) : field;
+}
+
+/**
+ * Parse RFC 4180 CSV from a readable stream, one array of fields per record
+ * Quoted fields may contain commas, doubled quotes and line breaks; blank
+ * lines and a leading byte order mark are skipped, and the quote that
+ * formatCsvRow adds before formula-like text is removed. Throws 400 when the
+ * input ends inside a quoted field.
+ */
+async function* parseCsv(stream) {
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  // A quote inside a quoted field either ends it or starts a doubled quote
+  let closingQuote = false;
+  let started = false;
+
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    for (const char of chunk) {
+      if (!started) {
+        started = true;
+        if (char === '\uFEFF') continue;
+      }
+
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          closingQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+
+      if (closingQuote) {
+        closingQuote = false;
+        if (char === '"') {
+          field += '"';
+          inQuotes = true;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field);
+        if (record.length > 1 || record[0] !== '') {
+          yield record.map(unescapeFormula);
+        }
+        record = [];
+        field = '';
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (inQuotes) {
+    throw createHttpError(400, 'CSV ends inside a quoted field');
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    yield record.map(unescapeFormula);
+  }
+}
+
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  // A leading quote keeps spreadsheets from evaluating the cell
+  const text = FORMULA_LIKE.test(String(value)) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV record, including the trailing line break
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets show it
+ * rather than run it as a formula; parseCsv strips the prefix again
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
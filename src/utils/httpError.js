@@ -0,0 +1,19 @@
+const http = require('http');
+
+/**
+ * Create an Error carrying an HTTP status for the errorHandler middleware
+ * The error name becomes the "error" field of the JSON response
+ */
+function createHttpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.name = http.STATUS_CODES[status] || 'Error';
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+module.exports = {
+  createHttpError
+};
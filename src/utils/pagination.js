@@ -0,0 +1,141 @@
+const { Op } = require('sequelize');
+const { createHttpError } = require('./httpError');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode the position after a row as an opaque cursor
+ * The cursor carries its own sort so follow-up requests only need ?cursor=
+ */
+function encodeCursor(row, sort, direction) {
+  const value = row.get(sort);
+  const payload = {
+    s: sort,
+    d: direction,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: row.get('id')
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sortFields) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+
+  if (!payload || !sortFields.includes(payload.s) || !['ASC', 'DESC'].includes(payload.d) || !payload.id) {
+    throw createHttpError(400, 'Invalid cursor');
+  }
+  return payload;
+}
+
+/**
+ * Parse list pagination parameters
+ * ?page= keeps the legacy offset mode, otherwise keyset mode is used with
+ * ?cursor= from a previous response. Both modes accept ?limit= (1 to
+ * MAX_LIMIT), ?sort=, ?direction=asc|desc and ?includeTotal=true.
+ */
+function parsePagination(query, { sortFields = ['createdAt'], defaultDirection = 'DESC' } = {}) {
+  const limit = query.limit === undefined || query.limit === '' ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw createHttpError(400, `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+  const includeTotal = query.includeTotal === 'true';
+
+  let sort = query.sort || sortFields[0];
+  if (!sortFields.includes(sort)) {
+    throw createHttpError(400, `Invalid sort field, expected one of: ${sortFields.join(', ')}`);
+  }
+
+  let direction = query.direction ? String(query.direction).toUpperCase() : defaultDirection;
+  if (!['ASC', 'DESC'].includes(direction)) {
+    throw createHttpError(400, 'Invalid sort direction, expected asc or desc');
+  }
+
+  if (query.page !== undefined) {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    return { mode: 'offset', limit, page, offset: (page - 1) * limit, sort, direction, includeTotal };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor), sortFields);
+    sort = cursor.s;
+    direction = cursor.d;
+  }
+
+  return { mode: 'cursor', limit, cursor, sort, direction, includeTotal };
+}
+
+/**
+ * Add ordering, limits and the keyset condition to Sequelize find options
+ * One extra row is fetched to tell whether another page exists
+ */
+function paginate(findOptions, pagination) {
+  const { sort, direction, limit, cursor } = pagination;
+  const options = {
+    ...findOptions,
+    order: [[sort, direction], ['id', direction]],
+    limit: limit + 1
+  };
+
+  if (pagination.mode === 'offset') {
+    options.offset = pagination.offset;
+  } else if (cursor) {
+    const op = direction === 'DESC' ? Op.lt : Op.gt;
+    options.where = {
+      [Op.and]: [
+        findOptions.where || {},
+        {
+          [Op.or]: [
+            { [sort]: { [op]: cursor.v } },
+            { [sort]: cursor.v, id: { [op]: cursor.id } }
+          ]
+        }
+      ]
+    };
+  }
+
+  return options;
+}
+
+/**
+ * Trim the look-ahead row and build the pagination block for the response
+ */
+function paginationResult(rows, pagination, total) {
+  const { mode, limit, sort, direction } = pagination;
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  const meta = mode === 'offset' ?
+    {
+      page: pagination.page,
+      limit,
+      offset: pagination.offset,
+      ...(total !== undefined && { totalPages: Math.ceil(total / limit) })
+    } :
+    {
+      limit,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort, direction) : null
+    };
+
+  return {
+    items,
+    pagination: {
+      ...meta,
+      sort,
+      direction: direction.toLowerCase(),
+      hasMore
+    }
+  };
+}
+
+module.exports = {
+  parsePagination,
+  paginate,
+  paginationResult
+};
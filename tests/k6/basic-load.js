@@ -2,6 +2,7 @@ import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate } from 'k6/metrics';
 import { textSummary } from 'https://jslib.k6.io/k6-summary/0.0.1/index.js';
+import { authHeaders, ADMIN_USER } from './lib/helpers.js';
 
 // Custom metrics
 const errorRate = new Rate('errors');
@@ -54,7 +55,7 @@ export default function () {
   sleep(2);
 
   // Test 4: Get users list
-  const usersRes = http.get(`${BASE_URL}/api/users?limit=10`);
+  const usersRes = http.get(`${BASE_URL}/api/users?limit=10`, { headers: authHeaders(ADMIN_USER) });
   check(usersRes, {
     'users status is 200': (r) => r.status === 200,
     'users returned': (r) => JSON.parse(r.body).users.length > 0,
@@ -63,7 +64,7 @@ export default function () {
   sleep(1);
 
   // Test 5: Get orders (will show memory leak growth)
-  const ordersRes = http.get(`${BASE_URL}/api/orders?limit=10`);
+  const ordersRes = http.get(`${BASE_URL}/api/orders?limit=10`, { headers: authHeaders(ADMIN_USER) });
   check(ordersRes, {
     'orders status is 200': (r) => r.status === 200,
     'memory leak info present': (r) => JSON.parse(r.body).memoryLeakInfo !== undefined,
@@ -88,7 +89,7 @@ export default function () {
   });
   
   const productCreateRes = http.post(`${BASE_URL}/api/products`, productPayload, {
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', ...authHeaders(ADMIN_USER) },
   });
   
   check(productCreateRes, {
@@ -87,10 +87,26 @@ function generateUserData() {
   };
 }
 
+// Log in once as staff; only staff may move orders through fulfilment
+export function setup() {
+  const loginRes = http.post(
+    `${BASE_URL}/api/users/login`,
+    JSON.stringify({ username: "admin", password: "password123" }),
+    { headers: { "Content-Type": "application/json" } }
+  );
+
+  if (loginRes.status !== 200) {
+    console.error(`Admin login failed: ${loginRes.status} - ${loginRes.body}`);
+    return { adminToken: null };
+  }
+  return { adminToken: JSON.parse(loginRes.body).token };
+}
+
 // Main test scenario
-export default function () {
+export default function (data) {
   const userData = generateUserData();
   let userId = null;
+  let token = null;
 
   // Login with test user to get the actual UUID
   group("User Authentication", function () {
@@ -118,6 +134,7 @@ export default function () {
     if (loginRes.status === 200) {
       const loginData = JSON.parse(loginRes.body);
       userId = loginData.user.id;
+      token = loginData.token;
       console.log(`Logged in as test user with ID: ${userId}`);
     } else {
       console.error("Login failed - test will continue with null userId");
@@ -221,6 +238,7 @@ export default function () {
         city: userData.address.city,
         state: userData.address.state,
         zip: userData.address.zip,
+        country: "US",
       },
       paymentMethod: randomItem(["credit_card", "debit_card", "paypal"]),
       notes: `Test order from K6 load test - ${__VU}.${__ITER}`,
@@ -228,7 +246,11 @@ export default function () {
 
     const orderStart = Date.now();
     const orderRes = http.post(`${BASE_URL}/api/orders`, orderPayload, {
-      headers: { "Content-Type": "application/json" },
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+        "Idempotency-Key": `k6-${__VU}-${__ITER}-${orderStart}`,
+      },
     });
     const orderDuration = Date.now() - orderStart;
 
@@ -261,7 +283,9 @@ export default function () {
   group("Post-Order Activities", function () {
     // Check order status
     if (orderId) {
-      const orderStatusRes = http.get(`${BASE_URL}/api/orders/${orderId}`);
+      const orderStatusRes = http.get(`${BASE_URL}/api/orders/${orderId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
 
       check(orderStatusRes, {
         "order status retrieved": (r) => r.status === 200,
@@ -274,15 +298,20 @@ export default function () {
 
       sleep(1);
 
-      // Update order status (simulate processing)
+      // Update order status (simulate processing, the only legal move from pending)
       const statusUpdatePayload = JSON.stringify({
-        status: randomItem(["processing", "shipped"]),
+        status: "processing",
       });
 
       const statusUpdateRes = http.put(
         `${BASE_URL}/api/orders/${orderId}/status`,
         statusUpdatePayload,
-        { headers: { "Content-Type": "application/json" } }
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${data.adminToken}`,
+          },
+        }
       );
 
       check(statusUpdateRes, {
@@ -294,7 +323,9 @@ export default function () {
 
     // Get user's order history
     if (userId) {
-      const ordersRes = http.get(`${BASE_URL}/api/orders/user/${userId}`);
+      const ordersRes = http.get(`${BASE_URL}/api/orders/user/${userId}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
 
       check(ordersRes, {
         "order history retrieved": (r) => r.status === 200,
@@ -308,8 +339,10 @@ export default function () {
 
     sleep(1);
 
-    // Check for memory leak growth
-    const ordersListRes = http.get(`${BASE_URL}/api/orders?limit=5`);
+    // Check for memory leak growth (listing all orders is staff only)
+    const ordersListRes = http.get(`${BASE_URL}/api/orders?limit=5`, {
+      headers: { Authorization: `Bearer ${data.adminToken}` },
+    });
     if (ordersListRes.status === 200) {
       const body = JSON.parse(ordersListRes.body);
       if (body.memoryLeakInfo) {
@@ -1,6 +1,7 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate, Trend } from 'k6/metrics';
+import { authHeaders, ADMIN_USER } from './lib/helpers.js';
 
 // Custom metrics
 const errorRate = new Rate('connection_errors');
@@ -39,7 +40,7 @@ export default function () {
       'GET',
       `${BASE_URL}/api/orders?limit=50`,     // Another heavy query
       null,
-      { tags: { name: 'OrdersList' } }
+      { headers: authHeaders(ADMIN_USER), tags: { name: 'OrdersList' } }
     ]);
     
     batch.push([
@@ -10,6 +10,12 @@ export const TEST_USER = {
   password: 'password123'
 };
 
+// Staff account for admin-only endpoints (product CRUD, order status, user list)
+export const ADMIN_USER = {
+  username: 'admin',
+  password: 'password123'
+};
+
 /**
  * Get a random element from an array
  */
@@ -31,7 +37,7 @@ export function fetchTestData(endpoint, limit = 10) {
 }
 
 /**
- * Login and get auth token (if authentication is implemented)
+ * Login and get an access token plus refresh token
  */
 export function authenticate(username = TEST_USER.username, password = TEST_USER.password) {
   const payload = JSON.stringify({ username, password });
@@ -46,13 +52,58 @@ export function authenticate(username = TEST_USER.username, password = TEST_USER
     return {
       success: true,
       user: body.user,
-      token: body.token || null
+      token: body.token || null,
+      refreshToken: body.refreshToken || null,
+      expiresIn: body.expiresIn || 0
     };
   }
   
   return { success: false, user: null, token: null };
 }
 
+// Per-VU sessions by username, so each virtual user logs in once per account
+const sessions = {};
+
+/**
+ * Authorization header for an account (the test user by default)
+ * Logs in on first use and refreshes the access token shortly before it
+ * expires, so long-running tests keep a valid token
+ */
+export function authHeaders(credentials = TEST_USER) {
+  const now = Date.now();
+  let session = sessions[credentials.username] || null;
+
+  if (session && now >= session.expiresAt && session.refreshToken) {
+    const res = http.post(`${BASE_URL}/api/users/refresh`, JSON.stringify({
+      refreshToken: session.refreshToken
+    }), { headers: { 'Content-Type': 'application/json' } });
+
+    if (res.status === 200) {
+      const body = JSON.parse(res.body);
+      session = {
+        token: body.token,
+        refreshToken: body.refreshToken,
+        expiresAt: now + (body.expiresIn - 30) * 1000
+      };
+    } else {
+      session = null;
+    }
+  }
+
+  if (!session) {
+    const auth = authenticate(credentials.username, credentials.password);
+    if (!auth.success) return {};
+    session = {
+      token: auth.token,
+      refreshToken: auth.refreshToken,
+      expiresAt: now + (auth.expiresIn - 30) * 1000
+    };
+  }
+
+  sessions[credentials.username] = session;
+  return { Authorization: `Bearer ${session.token}` };
+}
+
 /**
  * Create a realistic order payload
  */
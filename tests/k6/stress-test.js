@@ -1,6 +1,7 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate } from 'k6/metrics';
+import { authHeaders, ADMIN_USER } from './lib/helpers.js';
 
 const errorRate = new Rate('errors');
 
@@ -13,7 +14,7 @@ export function setup() {
   const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
   
   // Fetch users
-  const usersRes = http.get(`${BASE_URL}/api/users?limit=10`);
+  const usersRes = http.get(`${BASE_URL}/api/users?limit=10`, { headers: authHeaders(ADMIN_USER) });
   const users = usersRes.status === 200 ? JSON.parse(usersRes.body).users : [];
   
   // Fetch products
@@ -93,8 +94,9 @@ export default function (data) {
       notes: `Stress test order from VU ${__VU}`
     });
     
+    // Orders are placed for random users, which only staff may do
     const params = {
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders(ADMIN_USER) },
     };
     
     const res = http.post(`${BASE_URL}/api/orders`, payload, params);
@@ -102,7 +104,7 @@ export default function (data) {
     
   } else {
     // 20% - Mixed read operations
-    const res = http.get(`${BASE_URL}/api/orders?limit=10`);
+    const res = http.get(`${BASE_URL}/api/orders?limit=10`, { headers: authHeaders(ADMIN_USER) });
     check(res, { 'orders loaded': (r) => r.status === 200 }) || errorRate.add(1);
     
     // Check memory leak growth